@@ -3,16 +3,12 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
   require('dotenv').config();
 }
 
-const fs = require('fs');
-const path = require('path');
+const { AUTH_ENV_VARS, getAuthMethod, getMissingAuthEnvVars } = require('../netsuite/auth');
+const { loadMappings } = require('./mappings');
 
-// Required environment variables
+// Required environment variables, on top of the ones the NetSuite auth strategy needs
 const requiredEnvVars = [
   'NS_ACCOUNT_ID',
-  'NS_CONSUMER_KEY',
-  'NS_CONSUMER_SECRET',
-  'NS_TOKEN_ID',
-  'NS_TOKEN_SECRET',
   'NS_SCRIPT_ID',
   'NS_DEPLOY_ID',
   'SUPABASE_URL',
@@ -21,53 +17,28 @@ const requiredEnvVars = [
 
 // Validate environment variables
 function validateEnvVars() {
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  const missingVars = requiredEnvVars
+    .filter(varName => !process.env[varName])
+    .concat(getMissingAuthEnvVars());
   
   if (missingVars.length > 0) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
   
   // Log environment variables for debug (mask sensitive values)
-  console.log('Environment variables loaded:');
-  requiredEnvVars.forEach(varName => {
+  const authMethod = getAuthMethod();
+  const authEnvVars = AUTH_ENV_VARS[authMethod]
+    .concat(authMethod === 'oauth2' ? ['NS_PRIVATE_KEY', 'NS_PRIVATE_KEY_PATH'] : [])
+    .filter(varName => process.env[varName]);
+  
+  console.log(`Environment variables loaded (NetSuite auth: ${authMethod}):`);
+  requiredEnvVars.concat(authEnvVars).forEach(varName => {
     const value = process.env[varName];
     const isSecret = varName.includes('SECRET') || varName.includes('KEY');
     console.log(`- ${varName}: ${isSecret ? value.substring(0, 4) + '...' : value}`);
   });
 }
 
-// Load and validate mappings
-function loadMappings() {
-  const mappingsPath = path.join(__dirname, '../mappings/searchToTable.json');
-  
-  try {
-    const mappingsFile = fs.readFileSync(mappingsPath, 'utf8');
-    const mappings = JSON.parse(mappingsFile);
-    
-    // Validate mappings structure
-    if (!mappings.mappings || !Array.isArray(mappings.mappings)) {
-      throw new Error('Invalid mappings file: missing or invalid mappings array');
-    }
-    
-    // Validate each mapping
-    mappings.mappings.forEach((mapping, index) => {
-      const requiredFields = ['searchId', 'type', 'name', 'table', 'method'];
-      const missingFields = requiredFields.filter(field => !mapping[field]);
-      
-      if (missingFields.length > 0) {
-        throw new Error(`Invalid mapping at index ${index}: missing required fields ${missingFields.join(', ')}`);
-      }
-    });
-    
-    return mappings.mappings;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error(`Mappings file not found at ${mappingsPath}`);
-    }
-    throw error;
-  }
-}
-
 // Initialize configuration
 function init() {
   // Validate environment variables
@@ -81,7 +52,8 @@ function init() {
   return {
     // We don't create config objects anymore - just expose the mappings
     mappings: mappings,
-    syncInterval: parseInt(process.env.SYNC_INTERVAL || '21600000', 10) // Default to 6 hours
+    syncInterval: parseInt(process.env.SYNC_INTERVAL || '21600000', 10), // Default to 6 hours
+    mappingConcurrency: Math.max(1, parseInt(process.env.SYNC_MAPPING_CONCURRENCY || '1', 10) || 1) // Mappings synced at once
   };
 }
 
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidDateWindow, resolveDateWindow } = require('../netsuite/filters');
+const { isValidConflictKey, parseConflictKey } = require('../supabase/keys');
+const { MISSING_ROW_ACTIONS, WRITE_METHODS } = require('../supabase/writeStrategies');
+const { DRIFT_POLICIES } = require('../supabase/schemaDrift');
+const { COLUMN_TYPES } = require('../transform/rowBuilder');
+const { DUPLICATE_KEY_POLICIES } = require('../transform/dedupe');
+const { DATE_FORMATS, DECIMAL_SEPARATORS } = require('../transform/coerce');
+const { KEY_FORMATS } = require('../transform/syntheticKeys');
+const { COMPARE_OPERATORS, VALIDATION_RULES } = require('../transform/validation');
+const { findCycle } = require('../executionPlan');
+
+// Data sources a mapping can read from
+const SOURCES = ['savedSearch', 'suiteql'];
+
+// Column specs of tables the sync has always known how to build, used by mappings that declare none
+const BUILTIN_COLUMNS = require('../mappings/builtinColumns.json');
+
+// Validate the settings for rows that disappeared from the source
+function validateMissingRows(mapping, index) {
+  if (mapping.missingRows === undefined) {
+    if (mapping.deletedAtColumn !== undefined) {
+      throw new Error(`Invalid mapping at index ${index}: deletedAtColumn requires "missingRows": "softDelete"`);
+    }
+  } else {
+    if (!MISSING_ROW_ACTIONS.includes(mapping.missingRows)) {
+      throw new Error(`Invalid mapping at index ${index}: missingRows must be one of ${MISSING_ROW_ACTIONS.join(', ')}`);
+    }
+    
+    // mirror already deletes missing rows; the other methods reload or only add rows
+    if (mapping.method !== 'upsert') {
+      throw new Error(`Invalid mapping at index ${index}: missingRows requires the upsert method`);
+    }
+    
+    // Rows outside a date window would look deleted
+    if (resolveDateWindow(mapping.dateWindow)) {
+      throw new Error(`Invalid mapping at index ${index}: missingRows needs the whole result set, so dateWindow must be "All-Time"`);
+    }
+    
+    if (mapping.deletedAtColumn !== undefined && mapping.missingRows !== 'softDelete') {
+      throw new Error(`Invalid mapping at index ${index}: deletedAtColumn requires "missingRows": "softDelete"`);
+    }
+    
+    if (mapping.deletedAtColumn !== undefined && (typeof mapping.deletedAtColumn !== 'string' || !/^[a-zA-Z0-9_]+$/.test(mapping.deletedAtColumn))) {
+      throw new Error(`Invalid mapping at index ${index}: deletedAtColumn must be a column name`);
+    }
+  }
+  
+  // mirror deletes missing rows like "missingRows": "delete", so the same window rule applies
+  if (mapping.method === 'mirror' && resolveDateWindow(mapping.dateWindow)) {
+    throw new Error(`Invalid mapping at index ${index}: the mirror method needs the whole result set, so dateWindow must be "All-Time"`);
+  }
+  
+  if (mapping.missingRowsMaxRatio !== undefined) {
+    if (typeof mapping.missingRowsMaxRatio !== 'number' || mapping.missingRowsMaxRatio <= 0 || mapping.missingRowsMaxRatio > 1) {
+      throw new Error(`Invalid mapping at index ${index}: missingRowsMaxRatio must be a number above 0 and at most 1`);
+    }
+    if (!mapping.missingRows && mapping.method !== 'mirror') {
+      throw new Error(`Invalid mapping at index ${index}: missingRowsMaxRatio requires missingRows or the mirror method`);
+    }
+  }
+}
+
+// Validate the data source settings of a mapping
+function validateSource(mapping, index) {
+  const source = mapping.source || 'savedSearch';
+  
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Invalid mapping at index ${index}: source must be one of ${SOURCES.join(', ')}`);
+  }
+  
+  if (source === 'savedSearch') {
+    if (!mapping.searchId) {
+      throw new Error(`Invalid mapping at index ${index}: missing required fields searchId`);
+    }
+    return;
+  }
+  
+  if (!mapping.query || typeof mapping.query !== 'string') {
+    throw new Error(`Invalid mapping at index ${index}: suiteql mappings require a query`);
+  }
+  
+  if (mapping.pageSize !== undefined && (!Number.isInteger(mapping.pageSize) || mapping.pageSize < 1 || mapping.pageSize > 1000)) {
+    throw new Error(`Invalid mapping at index ${index}: pageSize must be an integer between 1 and 1000`);
+  }
+  
+  // Date windows and watermarks are RESTlet filters; SuiteQL mappings filter in their query
+  if (mapping.dateWindow !== undefined || mapping.incremental) {
+    throw new Error(`Invalid mapping at index ${index}: dateWindow and incremental are not supported for suiteql mappings`);
+  }
+}
+
+// Validate the optional per-column field mappings of a mapping
+function validateColumns(mapping, index) {
+  if (mapping.columns === undefined) {
+    return;
+  }
+  
+  if (!Array.isArray(mapping.columns)) {
+    throw new Error(`Invalid mapping at index ${index}: columns must be an array`);
+  }
+  
+  const seenColumns = new Set();
+  mapping.columns.forEach((column, columnIndex) => {
+    if (!column.column || typeof column.column !== 'string') {
+      throw new Error(`Invalid column ${columnIndex} in mapping ${mapping.table}: missing destination column`);
+    }
+    
+    if (!COLUMN_TYPES.includes(column.type)) {
+      throw new Error(`Invalid column "${column.column}" in mapping ${mapping.table}: type must be one of ${COLUMN_TYPES.join(', ')}`);
+    }
+    
+    // Positions restart with every page and run, so they collide as keys
+    if (column.default === '$rowNumber') {
+      throw new Error(`Invalid column "${column.column}" in mapping ${mapping.table}: the "$rowNumber" default is no longer supported; build the key from natural-key fields with "key"`);
+    }
+    
+    if (column.key !== undefined) {
+      if (!Array.isArray(column.key) || column.key.length === 0 || !column.key.every(field => typeof field === 'string' && field)) {
+        throw new Error(`Invalid column "${column.column}" in mapping ${mapping.table}: key must be a non-empty array of field names`);
+      }
+      if (column.template !== undefined) {
+        throw new Error(`Invalid column "${column.column}" in mapping ${mapping.table}: key cannot be combined with template`);
+      }
+    }
+    
+    if (column.keyFormat !== undefined && (column.key === undefined || !KEY_FORMATS.includes(column.keyFormat))) {
+      throw new Error(`Invalid column "${column.column}" in mapping ${mapping.table}: keyFormat must be one of ${KEY_FORMATS.join(', ')} and requires key`);
+    }
+    
+    if (seenColumns.has(column.column)) {
+      throw new Error(`Invalid mapping ${mapping.table}: column "${column.column}" is defined more than once`);
+    }
+    seenColumns.add(column.column);
+  });
+  
+  // Every conflict key column has to be produced by the column specs
+  const missingKeyColumns = parseConflictKey(mapping.conflictKey).filter(column => !seenColumns.has(column));
+  if (missingKeyColumns.length > 0) {
+    throw new Error(`Invalid mapping ${mapping.table}: conflictKey columns ${missingKeyColumns.join(', ')} are not defined in columns`);
+  }
+}
+
+// Validate the optional per-row validation rules of a mapping
+function validateRules(mapping, index) {
+  if (mapping.validations === undefined) {
+    return;
+  }
+  
+  if (!Array.isArray(mapping.validations)) {
+    throw new Error(`Invalid mapping at index ${index}: validations must be an array`);
+  }
+  
+  // Rules check built rows, so they need the declared columns
+  const columns = Array.isArray(mapping.columns) ? mapping.columns.map(spec => spec.column) : null;
+  if (!columns) {
+    throw new Error(`Invalid mapping at index ${index}: validations require columns`);
+  }
+  
+  mapping.validations.forEach((rule, ruleIndex) => {
+    const prefix = `Invalid validation ${ruleIndex} in mapping ${mapping.table}`;
+    if (!rule || !VALIDATION_RULES.includes(rule.rule)) {
+      throw new Error(`${prefix}: rule must be one of ${VALIDATION_RULES.join(', ')}`);
+    }
+    if (!columns.includes(rule.column)) {
+      throw new Error(`${prefix}: column "${rule.column}" is not defined in columns`);
+    }
+    
+    if (rule.rule === 'pattern') {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        throw new Error(`${prefix}: pattern is not a valid regular expression (${error.message})`);
+      }
+    }
+    
+    if (rule.rule === 'range') {
+      const bounds = [rule.min, rule.max].filter(bound => bound !== undefined);
+      if (bounds.length === 0 || !bounds.every(bound => typeof bound === 'number')) {
+        throw new Error(`${prefix}: range needs a numeric min, max or both`);
+      }
+    }
+    
+    if (rule.rule === 'oneOf' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+      throw new Error(`${prefix}: oneOf needs a non-empty values array`);
+    }
+    
+    if (rule.rule === 'compare') {
+      if (!Object.keys(COMPARE_OPERATORS).includes(rule.operator)) {
+        throw new Error(`${prefix}: operator must be one of ${Object.keys(COMPARE_OPERATORS).join(' ')}`);
+      }
+      if (!columns.includes(rule.otherColumn)) {
+        throw new Error(`${prefix}: otherColumn "${rule.otherColumn}" is not defined in columns`);
+      }
+    }
+  });
+}
+
+// Validate the "dependsOn" tables of every mapping, once all mappings are known
+function validateDependencies(mappings) {
+  const tables = mappings.map(mapping => mapping.table);
+  
+  mappings.forEach((mapping, index) => {
+    if (mapping.dependsOn === undefined) {
+      return;
+    }
+    
+    if (!Array.isArray(mapping.dependsOn) || !mapping.dependsOn.every(table => typeof table === 'string')) {
+      throw new Error(`Invalid mapping at index ${index}: dependsOn must be an array of table names`);
+    }
+    
+    mapping.dependsOn.forEach(table => {
+      if (table === mapping.table) {
+        throw new Error(`Invalid mapping at index ${index}: ${table} cannot depend on itself`);
+      }
+      // Mappings are identified by their table
+      const matches = tables.filter(other => other === table).length;
+      if (matches !== 1) {
+        throw new Error(`Invalid mapping at index ${index}: dependsOn table ${table} ${matches === 0 ? 'has no mapping' : 'has more than one mapping'}`);
+      }
+    });
+  });
+  
+  const cycle = findCycle(mappings);
+  if (cycle) {
+    throw new Error(`Invalid mappings: dependsOn forms a cycle (${cycle.join(' -> ')})`);
+  }
+}
+
+// Load and validate mappings
+function loadMappings() {
+  const mappingsPath = path.join(__dirname, '../mappings/searchToTable.json');
+  
+  try {
+    const mappingsFile = fs.readFileSync(mappingsPath, 'utf8');
+    const mappings = JSON.parse(mappingsFile);
+    
+    // Validate mappings structure
+    if (!mappings.mappings || !Array.isArray(mappings.mappings)) {
+      throw new Error('Invalid mappings file: missing or invalid mappings array');
+    }
+    
+    // A mapping without columns for a built-in table gets that table's columns
+    mappings.mappings
+      .filter(mapping => mapping.columns === undefined && Object.prototype.hasOwnProperty.call(BUILTIN_COLUMNS, mapping.table))
+      .forEach(mapping => {
+        mapping.columns = BUILTIN_COLUMNS[mapping.table].map(spec => ({ ...spec }));
+      });
+    
+    // Validate each mapping
+    mappings.mappings.forEach((mapping, index) => {
+      const requiredFields = ['type', 'name', 'table', 'method', 'conflictKey'];
+      const missingFields = requiredFields.filter(field => !mapping[field]);
+      
+      if (missingFields.length > 0) {
+        throw new Error(`Invalid mapping at index ${index}: missing required fields ${missingFields.join(', ')}`);
+      }
+      
+      validateSource(mapping, index);
+      
+      if (!WRITE_METHODS.includes(mapping.method)) {
+        throw new Error(`Invalid mapping at index ${index}: method must be one of ${WRITE_METHODS.join(', ')}`);
+      }
+      
+      if (!isValidConflictKey(mapping.conflictKey)) {
+        throw new Error(`Invalid mapping at index ${index}: conflictKey must be a column name or comma-separated column names`);
+      }
+      
+      if (mapping.dateWindow !== undefined && !isValidDateWindow(mapping.dateWindow)) {
+        throw new Error(`Invalid mapping at index ${index}: dateWindow must be "All-Time" or like "Last 90 days"`);
+      }
+      
+      if (mapping.incremental !== undefined && typeof mapping.incremental !== 'boolean') {
+        throw new Error(`Invalid mapping at index ${index}: incremental must be true or false`);
+      }
+      
+      // Replace and swap runs delete everything they did not fetch, so they need the full result set
+      if (mapping.incremental && ['replace', 'swap'].includes(mapping.method)) {
+        throw new Error(`Invalid mapping at index ${index}: incremental cannot be combined with the ${mapping.method} method`);
+      }
+
+      // A reload replaces every live row, so rows outside a date window would be deleted
+      if (['replace', 'swap'].includes(mapping.method) && resolveDateWindow(mapping.dateWindow)) {
+        throw new Error(`Invalid mapping at index ${index}: the ${mapping.method} method replaces the whole table, so dateWindow must be "All-Time"`);
+      }
+      
+      validateMissingRows(mapping, index);
+      
+      if (mapping.changeDetection !== undefined && typeof mapping.changeDetection !== 'boolean') {
+        throw new Error(`Invalid mapping at index ${index}: changeDetection must be true or false`);
+      }
+      
+      // Only upserts can leave an existing row alone
+      if (mapping.changeDetection && !['upsert', 'mirror'].includes(mapping.method)) {
+        throw new Error(`Invalid mapping at index ${index}: changeDetection requires the upsert or mirror method`);
+      }
+      
+      if (mapping.hashColumn !== undefined && (!mapping.changeDetection || typeof mapping.hashColumn !== 'string' || !/^[a-zA-Z0-9_]+$/.test(mapping.hashColumn))) {
+        throw new Error(`Invalid mapping at index ${index}: hashColumn must be a column name and requires changeDetection`);
+      }
+      
+      if (mapping.duplicateKeys !== undefined && !DUPLICATE_KEY_POLICIES.includes(mapping.duplicateKeys)) {
+        throw new Error(`Invalid mapping at index ${index}: duplicateKeys must be one of ${DUPLICATE_KEY_POLICIES.join(', ')}`);
+      }
+      
+      if (mapping.dateFormat !== undefined && !DATE_FORMATS.includes(mapping.dateFormat)) {
+        throw new Error(`Invalid mapping at index ${index}: dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+      }
+      
+      if (mapping.decimalSeparator !== undefined && !DECIMAL_SEPARATORS.includes(mapping.decimalSeparator)) {
+        throw new Error(`Invalid mapping at index ${index}: decimalSeparator must be one of ${DECIMAL_SEPARATORS.join(', ')}`);
+      }
+      
+      if (mapping.schemaDrift !== undefined && !DRIFT_POLICIES.includes(mapping.schemaDrift)) {
+        throw new Error(`Invalid mapping at index ${index}: schemaDrift must be one of ${DRIFT_POLICIES.join(', ')}`);
+      }
+      
+      validateColumns(mapping, index);
+      validateRules(mapping, index);
+      
+      if (mapping.documentNumberColumn !== undefined && !(mapping.columns || []).some(spec => spec.column === mapping.documentNumberColumn)) {
+        throw new Error(`Invalid mapping at index ${index}: documentNumberColumn "${mapping.documentNumberColumn}" is not defined in columns`);
+      }
+    });
+    
+    validateDependencies(mappings.mappings);
+    
+    return mappings.mappings;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Mappings file not found at ${mappingsPath}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  loadMappings
+};
@@ -0,0 +1,177 @@
+/**
+ * Orders the mappings of a run by their "dependsOn" tables and runs them with a
+ * number of mappings in flight.
+ *
+ * A mapping starts once every mapping it depends on succeeded, so independent
+ * mappings run side by side; a mapping whose prerequisite failed or was skipped is
+ * skipped too. Mappings are identified by their table.
+ */
+
+/**
+ * Returns the tables a mapping depends on
+ * @param {Object} mapping - The mapping configuration
+ * @returns {Array<string>} The tables, empty when it has no dependencies
+ */
+function getDependencies(mapping) {
+  return Array.isArray(mapping.dependsOn) ? mapping.dependsOn : [];
+}
+
+/**
+ * Finds a dependency cycle among mappings
+ * @param {Array<Object>} mappings - The mapping configurations
+ * @returns {Array<string>|null} The tables of the cycle, first one repeated at the end, or null when there is none
+ */
+function findCycle(mappings) {
+  const byTable = new Map(mappings.map(mapping => [mapping.table, mapping]));
+  const state = new Map(); // table -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = table => {
+    if (state.get(table) === 'done' || !byTable.has(table)) return null;
+    if (state.get(table) === 'visiting') {
+      return [...stack.slice(stack.indexOf(table)), table];
+    }
+
+    state.set(table, 'visiting');
+    stack.push(table);
+    for (const dependency of getDependencies(byTable.get(table))) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(table, 'done');
+    return null;
+  };
+
+  for (const mapping of mappings) {
+    const cycle = visit(mapping.table);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Groups mappings into stages: a mapping's stage comes after the stages of everything it depends on
+ * @param {Array<Object>} mappings - The mapping configurations, without cycles
+ * @returns {Array<Array<string>>} The tables of each stage, in mapping order
+ */
+function buildStages(mappings) {
+  const byTable = new Map(mappings.map(mapping => [mapping.table, mapping]));
+  const depths = new Map();
+
+  const getDepth = table => {
+    if (!depths.has(table)) {
+      const dependencies = getDependencies(byTable.get(table)).filter(dependency => byTable.has(dependency));
+      depths.set(table, dependencies.length === 0 ? 0 : 1 + Math.max(...dependencies.map(getDepth)));
+    }
+    return depths.get(table);
+  };
+
+  const stages = [];
+  mappings.forEach(mapping => {
+    const depth = getDepth(mapping.table);
+    stages[depth] = stages[depth] || [];
+    stages[depth].push(mapping.table);
+  });
+  return stages;
+}
+
+/**
+ * Runs mappings as soon as their dependencies succeeded, with up to `concurrency` in flight
+ * @param {Array<Object>} mappings - The mapping configurations, without cycles
+ * @param {number} concurrency - Maximum number of mappings running at once
+ * @param {function(Object): Promise<boolean>} runMapping - Runs one mapping, resolving to whether it succeeded
+ * @param {function(Object, string): void} [onSkip] - Called for each mapping skipped, with the reason
+ * @returns {Promise<Map<string, {status: string, durationMs: number, reason: string|null}>>} The outcome of each
+ *   mapping by table; status is "succeeded", "failed" or "skipped"
+ */
+async function runPlan(mappings, concurrency, runMapping, onSkip = () => {}) {
+  const outcomes = new Map();
+  const pending = [...mappings];
+  const running = new Set();
+
+  return new Promise(resolve => {
+    const schedule = () => {
+      // Skip until nothing changes: a skipped mapping can make its own dependents skippable
+      let skipped = true;
+      while (skipped) {
+        skipped = false;
+        for (const mapping of [...pending]) {
+          const blocker = getDependencies(mapping).find(table => ['failed', 'skipped'].includes((outcomes.get(table) || {}).status));
+          if (blocker) {
+            const reason = `${blocker} ${outcomes.get(blocker).status}`;
+            outcomes.set(mapping.table, { status: 'skipped', durationMs: 0, reason });
+            pending.splice(pending.indexOf(mapping), 1);
+            onSkip(mapping, reason);
+            skipped = true;
+          }
+        }
+      }
+
+      const ready = pending.filter(mapping => getDependencies(mapping)
+        .every(table => !mappings.some(other => other.table === table) || (outcomes.get(table) || {}).status === 'succeeded'));
+
+      ready.slice(0, Math.max(1, concurrency) - running.size).forEach(mapping => {
+        pending.splice(pending.indexOf(mapping), 1);
+        running.add(mapping.table);
+        const startedAt = Date.now();
+
+        Promise.resolve()
+          .then(() => runMapping(mapping))
+          .catch(() => false)
+          .then(success => {
+            running.delete(mapping.table);
+            outcomes.set(mapping.table, { status: success ? 'succeeded' : 'failed', durationMs: Date.now() - startedAt, reason: null });
+            schedule();
+          });
+      });
+
+      if (running.size > 0) return;
+
+      // Only a dependency cycle leaves mappings that can never start
+      pending.splice(0).forEach(mapping => {
+        outcomes.set(mapping.table, { status: 'skipped', durationMs: 0, reason: 'dependency cycle' });
+        onSkip(mapping, 'dependency cycle');
+      });
+      resolve(outcomes);
+    };
+
+    schedule();
+  });
+}
+
+/**
+ * Finds the chain of dependent mappings that took longest, which bounds the run time
+ * however many mappings run at once
+ * @param {Array<Object>} mappings - The mapping configurations, without cycles
+ * @param {Map<string, {durationMs: number}>} outcomes - The outcomes from runPlan
+ * @returns {{tables: Array<string>, durationMs: number}} The tables of the chain in order, and its total duration
+ */
+function findCriticalPath(mappings, outcomes) {
+  const byTable = new Map(mappings.map(mapping => [mapping.table, mapping]));
+  const longest = new Map(); // table -> {tables, durationMs} of the longest chain ending with it
+
+  const getLongest = table => {
+    if (!longest.has(table)) {
+      const own = (outcomes.get(table) || {}).durationMs || 0;
+      const before = getDependencies(byTable.get(table))
+        .filter(dependency => byTable.has(dependency))
+        .map(getLongest)
+        .reduce((best, chain) => (chain.durationMs > best.durationMs ? chain : best), { tables: [], durationMs: 0 });
+      longest.set(table, { tables: [...before.tables, table], durationMs: before.durationMs + own });
+    }
+    return longest.get(table);
+  };
+
+  return mappings
+    .map(mapping => getLongest(mapping.table))
+    .reduce((best, chain) => (chain.durationMs > best.durationMs ? chain : best), { tables: [], durationMs: 0 });
+}
+
+module.exports = {
+  buildStages,
+  findCriticalPath,
+  findCycle,
+  getDependencies,
+  runPlan
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { loadMappings } = require('./config/mappings');
+const { buildAlterStatements, buildCreateStatements, buildTableSchema } = require('./supabase/schema');
+
+/**
+ * Generates versioned Postgres migrations for the mapped Supabase tables.
+ *
+ * The schema each table had after the last generated migration is kept in
+ * supabase/schema.json. New tables get CREATE TABLE and CREATE INDEX statements;
+ * tables whose mapping gained columns, unique keys or indexes get ALTER statements.
+ * The files follow the Supabase CLI layout (supabase/migrations/<version>_<name>.sql),
+ * so `supabase db push` applies them.
+ *
+ * Usage: node src/generate-migrations.js [--name description] [--print]
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MIGRATIONS_DIR = path.join(ROOT_DIR, 'supabase', 'migrations');
+const SNAPSHOT_PATH = path.join(ROOT_DIR, 'supabase', 'schema.json');
+
+/**
+ * Reads the value following a --flag
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - The flag, e.g. "--name"
+ * @returns {string|undefined} The value, or undefined when the flag is absent
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Formats a date as a migration version (YYYYMMDDHHMMSS, UTC)
+ * @param {Date} date - The date
+ * @returns {string} The version
+ */
+function formatVersion(date) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Reads the table schemas the previous migrations produced
+ * @returns {{version: string|null, tables: Object}} The snapshot
+ */
+function readSnapshot() {
+  if (!fs.existsSync(SNAPSHOT_PATH)) {
+    return { version: null, tables: {} };
+  }
+  return JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+}
+
+/**
+ * Builds the current table schemas from the mappings
+ * @param {Array} mappings - The mapping configurations
+ * @returns {Object} Table schemas by table name
+ */
+function buildCurrentSchemas(mappings) {
+  const tables = {};
+
+  mappings.forEach(mapping => {
+    if (!mapping.columns) {
+      console.warn(`Skipping ${mapping.table}: the mapping declares no columns`);
+      return;
+    }
+    if (tables[mapping.table]) {
+      console.warn(`Skipping a second mapping for ${mapping.table}: the first one defines the table`);
+      return;
+    }
+    tables[mapping.table] = { mapping, schema: buildTableSchema(mapping) };
+  });
+
+  return tables;
+}
+
+/**
+ * Generates the next migration, if the mappings changed since the last one
+ */
+function generateMigrations() {
+  const args = process.argv.slice(2);
+  const printOnly = args.includes('--print');
+
+  const snapshot = readSnapshot();
+  const current = buildCurrentSchemas(loadMappings());
+  const sections = [];
+
+  Object.entries(current).forEach(([table, { mapping, schema }]) => {
+    const previous = snapshot.tables[table];
+
+    if (!previous) {
+      sections.push(`-- ${mapping.name} (${mapping.table})\n${buildCreateStatements(mapping)}`);
+      return;
+    }
+
+    const statements = buildAlterStatements(previous, schema);
+    if (statements.length > 0) {
+      sections.push(`-- ${mapping.name} (${mapping.table})\n${statements.join('\n')}`);
+    }
+  });
+
+  // Tables that lost their mapping are kept; dropping data is a manual decision
+  Object.keys(snapshot.tables)
+    .filter(table => !current[table])
+    .forEach(table => sections.push(`-- ${table} no longer has a mapping; drop it by hand if it is unused`));
+
+  if (sections.length === 0) {
+    console.log('Mapped tables match the last migration, nothing to generate');
+    return;
+  }
+
+  const version = formatVersion(new Date());
+  const name = (getFlagValue(args, '--name') || (snapshot.version ? 'update_sync_tables' : 'create_sync_tables'))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_');
+  const header = `-- Generated by src/generate-migrations.js from src/mappings/searchToTable.json\n-- Review before applying.\n`;
+  const sql = `${header}\n${sections.join('\n\n')}\n`;
+
+  if (printOnly) {
+    console.log(sql);
+    return;
+  }
+
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  const migrationPath = path.join(MIGRATIONS_DIR, `${version}_${name}.sql`);
+  fs.writeFileSync(migrationPath, sql);
+
+  const tables = {};
+  Object.entries(current).forEach(([table, { schema }]) => {
+    tables[table] = schema;
+  });
+  fs.writeFileSync(SNAPSHOT_PATH, `${JSON.stringify({ version, tables }, null, 2)}\n`);
+
+  console.log(`Wrote ${path.relative(ROOT_DIR, migrationPath)} (${sections.length} table${sections.length === 1 ? '' : 's'})`);
+  console.log(`Updated ${path.relative(ROOT_DIR, SNAPSHOT_PATH)}`);
+}
+
+try {
+  generateMigrations();
+} catch (error) {
+  console.error(`Failed to generate migrations: ${error.message}`);
+  process.exit(1);
+}
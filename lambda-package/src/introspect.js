@@ -0,0 +1,78 @@
+const netsuiteClient = require('./netsuite/client');
+const { buildMappingEntry, toColumnName } = require('./transform/inference');
+const { buildCreateStatements } = require('./supabase/schema');
+
+const USAGE = 'Usage: node src/introspect.js <searchId> [--table name] [--name "Display name"] [--type Transaction] [--sample 200]';
+
+/**
+ * Reads the value following a --flag
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - The flag, e.g. "--table"
+ * @returns {string|undefined} The value, or undefined when the flag is absent
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Formats a mapping entry the way searchToTable.json lays it out, one column spec per line
+ * @param {Object} mapping - The mapping entry
+ * @returns {string} The formatted entry
+ */
+function formatMappingEntry(mapping) {
+  const { columns, ...settings } = mapping;
+  const formatInline = spec => `{${Object.entries(spec).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+
+  const lines = Object.entries(settings).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)},`);
+  lines.push('  "columns": [');
+  lines.push(columns.map(spec => `    ${formatInline(spec)}`).join(',\n'));
+  lines.push('  ]');
+
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+/**
+ * Fetches the first page of a saved search, infers its columns and prints a
+ * mapping entry for searchToTable.json and a matching CREATE TABLE statement
+ * @returns {Promise<void>}
+ */
+async function introspect() {
+  const args = process.argv.slice(2);
+  const searchId = args[0];
+
+  if (!searchId || searchId.startsWith('--')) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const name = getFlagValue(args, '--name');
+  const type = getFlagValue(args, '--type');
+  const table = getFlagValue(args, '--table') || (name ? toColumnName(name) : `saved_search_${toColumnName(searchId)}`);
+  const sampleSize = Math.max(1, parseInt(getFlagValue(args, '--sample') || '200', 10));
+
+  try {
+    // The first page is enough to see every column and a representative sample of values
+    const page = await netsuiteClient.fetchParsedPage(searchId, 0);
+    const records = page.data.slice(0, sampleSize);
+    console.log(`Inferring columns from ${records.length} of ${page.data.length} rows on page 1 of ${page.totalPages}`);
+
+    const { mapping, warnings } = buildMappingEntry({ searchId, table, name, type, records });
+
+    console.log('\n=== Mapping entry for src/mappings/searchToTable.json ===\n');
+    console.log(formatMappingEntry(mapping));
+    console.log('\n=== Supabase table ===\n');
+    console.log(buildCreateStatements(mapping));
+
+    if (warnings.length > 0) {
+      console.log('\nCheck before using:');
+      warnings.forEach(warning => console.log(`- ${warning}`));
+    }
+    console.log('\nReview the inferred types, name, type and dateWindow before adding the mapping.');
+  } catch (error) {
+    console.error(`Failed to introspect Saved Search ${searchId}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+introspect();
@@ -0,0 +1,360 @@
+const OAuth = require('oauth-1.0a');
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+/**
+ * Authentication strategies for NetSuite requests, selected with NS_AUTH_METHOD:
+ *   tba    - OAuth 1.0a Token-Based Authentication (default)
+ *   oauth2 - OAuth 2.0 client credentials: a certificate-signed JWT is exchanged
+ *            for a short-lived access token
+ *
+ * Every strategy exposes:
+ *   getAuthHeaders(url, method) - resolves to the headers for one request
+ *   hasCredentials()            - whether all settings the strategy needs are present
+ *   invalidate()                - drops cached credentials after a 401; returns whether
+ *                                 there was anything to drop (worth one more attempt)
+ */
+
+// Environment variables each strategy needs, on top of the common ones
+const AUTH_ENV_VARS = {
+  tba: ['NS_CONSUMER_KEY', 'NS_CONSUMER_SECRET', 'NS_TOKEN_ID', 'NS_TOKEN_SECRET'],
+  oauth2: ['NS_CLIENT_ID', 'NS_CERTIFICATE_ID']
+};
+
+const AUTH_METHODS = Object.keys(AUTH_ENV_VARS);
+
+/**
+ * Returns the configured authentication method
+ * @returns {string} One of AUTH_METHODS
+ */
+function getAuthMethod() {
+  return (process.env.NS_AUTH_METHOD || 'tba').toLowerCase();
+}
+
+/**
+ * Lists the environment variables the configured strategy is missing
+ * @returns {Array<string>} Missing variable names
+ */
+function getMissingAuthEnvVars() {
+  const method = getAuthMethod();
+  if (!AUTH_ENV_VARS[method]) {
+    return [`NS_AUTH_METHOD (must be one of ${AUTH_METHODS.join(', ')})`];
+  }
+
+  const missing = AUTH_ENV_VARS[method].filter(varName => !process.env[varName]);
+
+  // The private key can be given inline or as a file path
+  if (method === 'oauth2' && !process.env.NS_PRIVATE_KEY && !process.env.NS_PRIVATE_KEY_PATH) {
+    missing.push('NS_PRIVATE_KEY or NS_PRIVATE_KEY_PATH');
+  }
+
+  return missing;
+}
+
+class TokenBasedAuth {
+  /**
+   * @param {string} accountId - The NetSuite account ID, used as the OAuth realm
+   */
+  constructor(accountId) {
+    this.accountId = accountId;
+    this.consumerKey = process.env.NS_CONSUMER_KEY;
+    this.consumerSecret = process.env.NS_CONSUMER_SECRET;
+    this.tokenId = process.env.NS_TOKEN_ID;
+    this.tokenSecret = process.env.NS_TOKEN_SECRET;
+
+    this.oauth = OAuth({
+      consumer: {
+        key: this.consumerKey,
+        secret: this.consumerSecret
+      },
+      signature_method: 'HMAC-SHA256',
+      hash_function(baseString, key) {
+        return crypto
+          .createHmac('sha256', key)
+          .update(baseString)
+          .digest('base64');
+      }
+    });
+
+    this.token = {
+      key: this.tokenId,
+      secret: this.tokenSecret
+    };
+  }
+
+  hasCredentials() {
+    return Boolean(this.consumerKey && this.consumerSecret && this.tokenId && this.tokenSecret);
+  }
+
+  invalidate() {
+    // Nothing is cached: every request is signed separately
+    return false;
+  }
+
+  /**
+   * Generates OAuth 1.0a headers for a request
+   * @param {string} url - The full URL of the request
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @returns {Promise<Object>} Headers object with OAuth and Content-Type
+   */
+  async getAuthHeaders(url, method) {
+    if (!this.oauth || !this.token) {
+      throw new Error('OAuth is not properly initialized');
+    }
+
+    const requestData = {
+      url,
+      method,
+      data: {} // Empty object for GET requests
+    };
+
+    // Generate OAuth parameters
+    const oauth = this.oauth.authorize(requestData, this.token);
+
+    // Validate that all required OAuth parameters exist
+    const requiredParams = [
+      'oauth_consumer_key', 'oauth_token', 'oauth_signature_method',
+      'oauth_timestamp', 'oauth_nonce', 'oauth_version', 'oauth_signature'
+    ];
+
+    const missingParams = requiredParams.filter(param => !oauth[param]);
+    if (missingParams.length > 0) {
+      throw new Error(`Missing required OAuth parameters: ${missingParams.join(', ')}`);
+    }
+
+    // Add the realm parameter
+    const headerParams = {
+      oauth_consumer_key: oauth.oauth_consumer_key,
+      oauth_token: oauth.oauth_token,
+      oauth_signature_method: oauth.oauth_signature_method,
+      oauth_timestamp: oauth.oauth_timestamp,
+      oauth_nonce: oauth.oauth_nonce,
+      oauth_version: oauth.oauth_version,
+      oauth_signature: oauth.oauth_signature,
+      realm: this.accountId
+    };
+
+    // Format as key="value" pairs separated by commas
+    // Ensure proper encoding of all values
+    let authHeaderString = 'OAuth ' + Object.keys(headerParams)
+      .map(key => {
+        // Extra safety: ensure no null/undefined values
+        const value = headerParams[key] !== undefined && headerParams[key] !== null
+          ? headerParams[key].toString()
+          : '';
+        return `${key}="${encodeURIComponent(value)}"`;
+      })
+      .join(', ');
+
+    return {
+      'Authorization': authHeaderString,
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+// JWT signing algorithms NetSuite accepts for client credentials, with their Node crypto options
+const JWT_ALGORITHMS = {
+  PS256: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  RS256: { padding: crypto.constants.RSA_PKCS1_PADDING },
+  ES256: { dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Encodes a Buffer or string as base64url
+ * @param {Buffer|string} value - The value to encode
+ * @returns {string} The base64url string
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+class ClientCredentialsAuth {
+  /**
+   * @param {string} accountId - The NetSuite account ID
+   */
+  constructor(accountId) {
+    this.clientId = process.env.NS_CLIENT_ID;
+    this.certificateId = process.env.NS_CERTIFICATE_ID;
+    this.privateKey = process.env.NS_PRIVATE_KEY
+      // Keys pasted into a single-line variable usually carry escaped newlines
+      ? process.env.NS_PRIVATE_KEY.replace(/\\n/g, '\n')
+      : null;
+    this.privateKeyPath = process.env.NS_PRIVATE_KEY_PATH;
+    this.algorithm = (process.env.NS_OAUTH2_ALGORITHM || 'PS256').toUpperCase();
+    this.scopes = (process.env.NS_OAUTH2_SCOPES || 'restlets,rest_webservices')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(Boolean);
+    // Refresh this many milliseconds before the token expires
+    this.refreshMargin = parseInt(process.env.NS_OAUTH2_REFRESH_MARGIN_MS || '60000', 10);
+
+    const accountHost = String(accountId || '').toLowerCase().replace(/_/g, '-');
+    this.tokenUrl = `https://${accountHost}.suitetalk.api.netsuite.com/services/rest/auth/oauth2/v1/token`;
+
+    if (!JWT_ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unsupported NS_OAUTH2_ALGORITHM: ${this.algorithm}. Use one of ${Object.keys(JWT_ALGORITHMS).join(', ')}`);
+    }
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingToken = null;
+  }
+
+  hasCredentials() {
+    return Boolean(this.clientId && this.certificateId && (this.privateKey || this.privateKeyPath));
+  }
+
+  invalidate() {
+    const hadToken = Boolean(this.accessToken);
+    this.accessToken = null;
+    this.expiresAt = 0;
+    return hadToken;
+  }
+
+  /**
+   * Loads the PEM private key matching the certificate uploaded to NetSuite
+   * @returns {string} The private key
+   */
+  getPrivateKey() {
+    if (!this.privateKey) {
+      this.privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * Builds the signed JWT client assertion for the token request
+   * @returns {string} The compact JWT
+   */
+  createClientAssertion() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = {
+      alg: this.algorithm,
+      typ: 'JWT',
+      kid: this.certificateId
+    };
+    const payload = {
+      iss: this.clientId,
+      scope: this.scopes,
+      aud: this.tokenUrl,
+      iat: now,
+      // NetSuite rejects assertions valid for more than an hour
+      exp: now + 3600
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+      key: this.getPrivateKey(),
+      ...JWT_ALGORITHMS[this.algorithm]
+    });
+
+    return `${signingInput}.${base64url(signature)}`;
+  }
+
+  /**
+   * Exchanges a client assertion for an access token
+   * @returns {Promise<string>} The access token
+   */
+  async requestAccessToken() {
+    console.log('Requesting NetSuite OAuth 2.0 access token...');
+
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: this.createClientAssertion()
+    });
+
+    let response;
+    try {
+      response = await axios.post(this.tokenUrl, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const reason = error.response && error.response.data && error.response.data.error;
+      const tokenError = new Error(`Failed to obtain NetSuite OAuth 2.0 access token${status ? ` (${status}${reason ? `: ${reason}` : ''})` : ''}`);
+      // Keep the response so the retry policy can tell transient failures from rejected credentials
+      tokenError.authError = true;
+      tokenError.response = error.response;
+      tokenError.request = error.request;
+      throw tokenError;
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+      throw new Error('NetSuite OAuth 2.0 token response did not include an access token');
+    }
+
+    this.accessToken = accessToken;
+    // NetSuite issues tokens valid for 60 minutes when expires_in is missing
+    this.expiresAt = Date.now() + (parseInt(expiresIn, 10) || 3600) * 1000;
+    console.log(`Obtained NetSuite access token valid until ${new Date(this.expiresAt).toISOString()}`);
+
+    return accessToken;
+  }
+
+  /**
+   * Returns a cached access token, refreshing it shortly before it expires.
+   * Concurrent callers share a single token request.
+   * @returns {Promise<string>} The access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - this.refreshMargin) {
+      return this.accessToken;
+    }
+
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestAccessToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+
+    return this.pendingToken;
+  }
+
+  /**
+   * Generates bearer headers for a request
+   * @returns {Promise<Object>} Headers object with Authorization and Content-Type
+   */
+  async getAuthHeaders() {
+    const accessToken = await this.getAccessToken();
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+/**
+ * Creates the authentication strategy selected by NS_AUTH_METHOD
+ * @param {string} accountId - The NetSuite account ID
+ * @returns {TokenBasedAuth|ClientCredentialsAuth} The strategy
+ */
+function createAuthStrategy(accountId) {
+  const method = getAuthMethod();
+
+  switch (method) {
+    case 'tba':
+      return new TokenBasedAuth(accountId);
+    case 'oauth2':
+      return new ClientCredentialsAuth(accountId);
+    default:
+      throw new Error(`Unsupported NS_AUTH_METHOD: ${method}. Use one of ${AUTH_METHODS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  AUTH_ENV_VARS,
+  AUTH_METHODS,
+  ClientCredentialsAuth,
+  TokenBasedAuth,
+  createAuthStrategy,
+  getAuthMethod,
+  getMissingAuthEnvVars
+};
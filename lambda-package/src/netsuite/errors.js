@@ -0,0 +1,273 @@
+/**
+ * Typed errors for NetSuite requests.
+ *
+ * Every error carries what is known about the failure:
+ *   status   - HTTP status of the response, or null when none arrived
+ *   code     - NetSuite error code (INVALID_LOGIN_ATTEMPT, SSS_USAGE_LIMIT_EXCEEDED, ...)
+ *   searchId - Saved Search the request was for, if any
+ *   page     - 0-based page the request was for, if any
+ *   body     - The error body NetSuite returned (RESTlet {error} or REST Web Services error)
+ *
+ * Callers should check the class (error instanceof NetSuiteAuthError) rather than the message.
+ */
+
+// NetSuite error codes returned when the account's concurrency or request limit is hit
+const RATE_LIMIT_CODES = [
+  'SSS_REQUEST_LIMIT_EXCEEDED',
+  'CONCURRENCY_LIMIT_EXCEEDED'
+];
+
+// Script governance limits hit by the RESTlet itself; retrying the same page hits them again
+const GOVERNANCE_CODES = [
+  'SSS_USAGE_LIMIT_EXCEEDED',
+  'SSS_TIME_LIMIT_EXCEEDED',
+  'SSS_INSTRUCTION_COUNT_EXCEEDED'
+];
+
+const AUTH_CODES = [
+  'INVALID_LOGIN_ATTEMPT',
+  'INVALID_LOGIN_CREDENTIALS',
+  'INVALID_LOGIN',
+  'INSUFFICIENT_PERMISSION'
+];
+
+const NOT_FOUND_CODES = [
+  'INVALID_SEARCH',
+  'RCRD_DSNT_EXIST',
+  'SSS_INVALID_SCRIPTLET_ID'
+];
+
+const KNOWN_CODES = [...RATE_LIMIT_CODES, ...GOVERNANCE_CODES, ...AUTH_CODES, ...NOT_FOUND_CODES];
+
+class NetSuiteError extends Error {
+  /**
+   * @param {string} message - Sanitized description of the failure
+   * @param {Object} [details] - What is known about the failure
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.code] - NetSuite error code
+   * @param {string} [details.searchId] - Saved Search the request was for
+   * @param {number} [details.page] - 0-based page the request was for
+   * @param {*} [details.body] - The error body NetSuite returned
+   * @param {string} [details.retryAfter] - The Retry-After header, if any
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status !== undefined ? details.status : null;
+    this.code = details.code || null;
+    this.searchId = details.searchId || null;
+    this.page = details.page !== undefined ? details.page : null;
+    this.body = details.body;
+    this.retryAfter = details.retryAfter || null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Fills in the request context when it is not set yet
+   * @param {Object} context - The request context
+   * @param {string} [context.searchId] - Saved Search the request was for
+   * @param {number} [context.page] - 0-based page the request was for
+   * @returns {NetSuiteError} This error
+   */
+  withContext({ searchId, page } = {}) {
+    if (!this.searchId && searchId) this.searchId = searchId;
+    if (this.page === null && page !== undefined) this.page = page;
+    return this;
+  }
+}
+
+class NetSuiteAuthError extends NetSuiteError {
+  constructor(message = 'Authentication failed. Please check NetSuite credentials.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteNotFoundError extends NetSuiteError {
+  constructor(message = 'NetSuite resource not found. Please check searchId and deployment parameters.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteRateLimitError extends NetSuiteError {
+  constructor(message = 'NetSuite request limit exceeded. Please try again later.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteGovernanceError extends NetSuiteError {
+  constructor(message = 'NetSuite script governance limit exceeded. Reduce the RESTlet page size.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteServerError extends NetSuiteError {
+  constructor(message = 'NetSuite server error. Please try again later.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteNetworkError extends NetSuiteError {
+  constructor(message = 'Connection to NetSuite failed. Please check your network and try again.', details) {
+    super(message, details);
+  }
+}
+
+class NetSuiteResponseFormatError extends NetSuiteError {
+  constructor(message = 'Invalid response format from NetSuite', details) {
+    super(message, details);
+  }
+}
+
+/**
+ * Reads the NetSuite error code and message from an error body.
+ * Handles RESTlet bodies ({error: "..."} or {error: {code, message}}) and
+ * REST Web Services bodies ({"o:errorDetails": [{"o:errorCode", detail}]}).
+ * @param {*} body - The response body (object or string)
+ * @returns {{code: string|null, message: string|null}} The code and message
+ */
+function extractErrorDetails(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      parsed = null;
+    }
+  }
+
+  let code = null;
+  let message = null;
+
+  if (parsed && typeof parsed === 'object') {
+    const { error } = parsed;
+    const details = parsed['o:errorDetails'];
+
+    if (typeof error === 'string') {
+      message = error;
+      code = /^[A-Z][A-Z0-9_]+$/.test(error) ? error : null;
+    } else if (error && typeof error === 'object') {
+      code = error.code || error.name || null;
+      message = error.message || null;
+    } else if (Array.isArray(details) && details.length > 0) {
+      code = details[0]['o:errorCode'] || null;
+      message = details[0].detail || null;
+    }
+  }
+
+  // Fall back to a known code anywhere in the body, e.g. inside an HTML error page
+  if (!code && body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    code = KNOWN_CODES.find(knownCode => text.includes(knownCode)) || null;
+  }
+
+  return { code, message };
+}
+
+/**
+ * Picks the error class for a NetSuite code and HTTP status. The code wins over the status,
+ * since NetSuite reports governance and concurrency failures with 400 or even 200.
+ * @param {string|null} code - NetSuite error code
+ * @param {number|null} status - HTTP status
+ * @returns {Function} The error class
+ */
+function getErrorClass(code, status) {
+  if (RATE_LIMIT_CODES.includes(code)) return NetSuiteRateLimitError;
+  if (GOVERNANCE_CODES.includes(code)) return NetSuiteGovernanceError;
+  if (AUTH_CODES.includes(code)) return NetSuiteAuthError;
+  if (NOT_FOUND_CODES.includes(code)) return NetSuiteNotFoundError;
+
+  if (status === 429) return NetSuiteRateLimitError;
+  if (status === 401 || status === 403) return NetSuiteAuthError;
+  if (status === 404) return NetSuiteNotFoundError;
+  if (status >= 500) return NetSuiteServerError;
+  return NetSuiteError;
+}
+
+/**
+ * Builds the error for a response NetSuite answered with an error, either with a
+ * non-2xx status or with a 200 RESTlet body carrying {error}
+ * @param {number} status - HTTP status
+ * @param {*} body - The response body
+ * @param {Object} [details] - Additional details (searchId, page, retryAfter, cause)
+ * @returns {NetSuiteError} The typed error
+ */
+function fromResponse(status, body, details = {}) {
+  const { code, message: detail } = extractErrorDetails(body);
+  const ErrorClass = getErrorClass(code, status);
+  const errorDetails = { ...details, status, code, body };
+
+  if (ErrorClass === NetSuiteError) {
+    // Unclassified client errors keep NetSuite's own explanation; RESTlet body errors arrive with a 200
+    const explanation = detail && code && detail !== code ? `${code}: ${detail}` : detail || code;
+    const parts = [status >= 300 ? status : null, explanation].filter(Boolean);
+    return new NetSuiteError(`NetSuite API Error: ${parts.join(' - ') || 'unknown error'}`, errorDetails);
+  }
+
+  const error = new ErrorClass(undefined, errorDetails);
+  if (code) {
+    error.message += ` (${code}${detail && detail !== code ? `: ${detail}` : ''})`;
+  }
+  return error;
+}
+
+/**
+ * Converts any failure of a single request attempt into a typed error
+ * @param {Error} error - The error thrown by axios, the auth strategy or the response checks
+ * @param {Object} [context] - The request context (searchId, page)
+ * @returns {NetSuiteError} The typed error
+ */
+function toNetSuiteError(error, context = {}) {
+  if (error instanceof NetSuiteError) {
+    return error.withContext(context);
+  }
+
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const typedError = fromResponse(status, data, {
+      ...context,
+      retryAfter: headers ? headers['retry-after'] : null,
+      cause: error
+    });
+
+    // The OAuth 2.0 token request explains itself better than the generic message
+    if (error.authError) {
+      typedError.message = error.message;
+    }
+    return typedError;
+  }
+
+  if (error.request) {
+    // The request was made but no response was received
+    return new NetSuiteNetworkError(error.authError ? error.message : undefined, {
+      ...context,
+      code: error.code,
+      cause: error
+    });
+  }
+
+  // Something happened in setting up the request (reading the private key, signing, fetching a token)
+  return new NetSuiteError(`Failed to set up request to NetSuite API: ${error.message}`, {
+    ...context,
+    code: error.code,
+    cause: error
+  });
+}
+
+module.exports = {
+  GOVERNANCE_CODES,
+  NetSuiteAuthError,
+  NetSuiteError,
+  NetSuiteGovernanceError,
+  NetSuiteNetworkError,
+  NetSuiteNotFoundError,
+  NetSuiteRateLimitError,
+  NetSuiteResponseFormatError,
+  NetSuiteServerError,
+  RATE_LIMIT_CODES,
+  extractErrorDetails,
+  fromResponse,
+  toNetSuiteError
+};
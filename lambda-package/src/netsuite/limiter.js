@@ -0,0 +1,48 @@
+/**
+ * Caps the NetSuite requests in flight across the whole process. Every mapping
+ * and every page window draws from the same limiter, so running mappings side by
+ * side does not multiply the requests the account's concurrency limit allows.
+ */
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at once, in the order they were queued
+ * @param {number} limit - The number of tasks allowed in flight
+ * @returns {{run: function(Function): Promise<*>}} The limiter
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active--;
+    if (waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return {
+    /**
+     * Runs a task once a slot is free
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} The task's result
+     */
+    async run(task) {
+      if (active < limit) {
+        active++;
+      } else {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createLimiter
+};
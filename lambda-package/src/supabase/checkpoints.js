@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const supabaseClient = require('./client');
+const { getMappingKey, getSourceId } = require('./stateKeys');
+
+/**
+ * Persists the last page a mapping run wrote, so a run that dies halfway through a
+ * large search can be resumed with --resume instead of starting again at page 1.
+ *
+ * A checkpoint is stored after every page once its rows are written, and cleared when
+ * the mapping finishes. It keeps the run's filters and start time, so the resumed run
+ * fetches the same search window and stores the same watermark, and a fingerprint of
+ * the page's records: when the search now reports a different page count, or the last
+ * written page no longer holds the same records, the checkpoint is stale.
+ *
+ * Expected table (name from SYNC_CHECKPOINT_TABLE, default "sync_checkpoints"):
+ *   create table sync_checkpoints (
+ *     mapping_key text primary key,
+ *     search_id text not null,
+ *     run_id text not null,
+ *     run_started_at timestamptz not null,
+ *     filters jsonb not null default '{}',
+ *     page_index integer not null,
+ *     total_pages integer not null,
+ *     fingerprint text not null,
+ *     updated_at timestamptz not null default now()
+ *   );
+ */
+class CheckpointStore {
+  constructor() {
+    this.table = process.env.SYNC_CHECKPOINT_TABLE || 'sync_checkpoints';
+  }
+
+  /**
+   * Fingerprints the records of a page, to tell whether the page still holds the same results
+   * @param {Array} records - Raw NetSuite records of the page
+   * @returns {string} The SHA-256 of the records
+   */
+  fingerprint(records) {
+    return crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex');
+  }
+
+  /**
+   * Reads the checkpoint of a mapping
+   * @param {Object} mapping - The mapping configuration
+   * @returns {Promise<{runId: string, runStartedAt: string, filters: Object, pageIndex: number, totalPages: number, fingerprint: string}|null>}
+   *   The checkpoint, or null if none is stored
+   */
+  async get(mapping) {
+    const { data, error } = await supabaseClient.client
+      .from(this.table)
+      .select('run_id, run_started_at, filters, page_index, total_pages, fingerprint')
+      .eq('mapping_key', getMappingKey(mapping))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read checkpoint for ${mapping.table}: ${error.message}`);
+    }
+    if (!data) {
+      return null;
+    }
+
+    return {
+      runId: data.run_id,
+      runStartedAt: data.run_started_at,
+      filters: data.filters || {},
+      pageIndex: data.page_index,
+      totalPages: data.total_pages,
+      fingerprint: data.fingerprint
+    };
+  }
+
+  /**
+   * Stores the checkpoint of a mapping, replacing the previous one
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} checkpoint - The checkpoint
+   * @param {string} checkpoint.runId - The id of the sync run
+   * @param {string} checkpoint.runStartedAt - ISO timestamp taken before the run fetched anything
+   * @param {Object} checkpoint.filters - The RESTlet filters of the run
+   * @param {number} checkpoint.pageIndex - The 0-based index of the last written page
+   * @param {number} checkpoint.totalPages - The page count the search reported
+   * @param {string} checkpoint.fingerprint - The fingerprint of the page's records
+   * @returns {Promise<void>}
+   */
+  async set(mapping, checkpoint) {
+    const { error } = await supabaseClient.client
+      .from(this.table)
+      .upsert({
+        mapping_key: getMappingKey(mapping),
+        search_id: getSourceId(mapping),
+        run_id: checkpoint.runId,
+        run_started_at: checkpoint.runStartedAt,
+        filters: checkpoint.filters,
+        page_index: checkpoint.pageIndex,
+        total_pages: checkpoint.totalPages,
+        fingerprint: checkpoint.fingerprint,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'mapping_key' });
+
+    if (error) {
+      throw new Error(`Failed to store checkpoint for ${mapping.table}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes the checkpoint of a mapping
+   * @param {Object} mapping - The mapping configuration
+   * @returns {Promise<void>}
+   */
+  async clear(mapping) {
+    const { error } = await supabaseClient.client
+      .from(this.table)
+      .delete()
+      .eq('mapping_key', getMappingKey(mapping));
+
+    if (error) {
+      throw new Error(`Failed to clear checkpoint for ${mapping.table}: ${error.message}`);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new CheckpointStore();
@@ -0,0 +1,123 @@
+/**
+ * Splits write payloads into request-sized chunks and writes them with a small
+ * number of requests in flight.
+ *
+ * Chunks are sized by their serialized JSON size rather than a fixed row count,
+ * so wide rows (long memos, many columns) produce smaller chunks and narrow rows
+ * larger ones, while every request stays below the gateway's body size limit.
+ */
+
+/**
+ * Returns the serialized size of a record in bytes
+ * @param {Object} record - The record
+ * @returns {number} The size of its JSON representation
+ */
+function getRecordSize(record) {
+  return Buffer.byteLength(JSON.stringify(record), 'utf8');
+}
+
+/**
+ * Splits records into chunks whose JSON array stays within a byte budget.
+ * A single record larger than the budget gets a chunk of its own.
+ * @param {Array} records - The records to split
+ * @param {Object} options - Chunk limits
+ * @param {number} options.maxBytes - Maximum serialized size of a chunk
+ * @param {number} options.maxRows - Maximum number of records in a chunk
+ * @returns {Array<{records: Array, bytes: number}>} The chunks in record order
+ */
+function chunkByBytes(records, { maxBytes, maxRows }) {
+  const chunks = [];
+  let current = { records: [], bytes: 2 }; // the enclosing []
+
+  records.forEach(record => {
+    // Every record after the first also adds a comma
+    const size = getRecordSize(record) + (current.records.length > 0 ? 1 : 0);
+
+    if (current.records.length > 0 && (current.bytes + size > maxBytes || current.records.length >= maxRows)) {
+      chunks.push(current);
+      current = { records: [], bytes: 2 };
+      current.records.push(record);
+      current.bytes += size - 1;
+      return;
+    }
+
+    current.records.push(record);
+    current.bytes += size;
+  });
+
+  if (current.records.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Postgres error classes caused by the values of a row: data exceptions (22xxx, e.g. a malformed
+// date or an overflowing number), integrity constraint violations (23xxx) and cardinality
+// violations (21000, the same key twice in one statement)
+const ROW_ERROR_CLASSES = ['21', '22', '23'];
+
+/**
+ * Checks whether a Supabase error was caused by the rows sent rather than by the request,
+ * the table or the connection
+ * @param {Object} error - The error returned by supabase-js
+ * @returns {boolean} Whether splitting the chunk can isolate the offending rows
+ */
+function isRowError(error) {
+  const code = error && typeof error.code === 'string' ? error.code : '';
+  return /^[0-9A-Z]{5}$/.test(code) && ROW_ERROR_CLASSES.includes(code.slice(0, 2));
+}
+
+/**
+ * Reads the row count Supabase returned for a chunk. Without one the rows written are
+ * unknown: with ignoreDuplicates some may have been skipped, so they are reported as
+ * uncounted rather than assumed written.
+ * @param {number|null|undefined} count - The count from the response
+ * @param {number} rowCount - The number of rows sent
+ * @returns {{count: number, uncounted: number}} The rows counted as written, and the rows without a count
+ */
+function countResult(count, rowCount) {
+  return typeof count === 'number' ? { count, uncounted: 0 } : { count: 0, uncounted: rowCount };
+}
+
+/**
+ * Runs a task for every item with at most `concurrency` tasks in flight.
+ * After the first failure no new tasks are started; the tasks already running
+ * are awaited and the first error is thrown.
+ * @param {Array} items - The items
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} The task results, in item order
+ */
+async function runWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await task(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+module.exports = {
+  chunkByBytes,
+  countResult,
+  getRecordSize,
+  isRowError,
+  runWithConcurrency
+};
@@ -1,5 +1,14 @@
 const { createClient } = require('@supabase/supabase-js');
+const axios = require('axios');
 const config = require('../config');
+const {
+  formatConflictKey,
+  hasKey,
+  isValidConflictKey,
+  parseConflictKey,
+  quoteFilterValue
+} = require('./keys');
+const { chunkByBytes, countResult, isRowError, runWithConcurrency } = require('./chunking');
 
 class SupabaseClient {
   constructor() {
@@ -27,6 +36,17 @@ class SupabaseClient {
       supabaseUrl,
       supabaseKey
     );
+    
+    // Kept for the PostgREST OpenAPI document, which supabase-js does not expose
+    this.restUrl = `${supabaseUrl.replace(/\/+$/, '')}/rest/v1/`;
+    this.serviceKey = supabaseKey;
+    this.openApiSpec = null;
+    
+    // Chunk writes by serialized size and keep a few chunk requests in flight
+    this.chunkMaxBytes = Math.max(1024, parseInt(process.env.SUPABASE_CHUNK_MAX_BYTES || '1048576', 10));
+    this.chunkMaxRows = Math.max(1, parseInt(process.env.SUPABASE_CHUNK_MAX_ROWS || '5000', 10));
+    this.writeConcurrency = Math.max(1, parseInt(process.env.SUPABASE_WRITE_CONCURRENCY || '3', 10));
+    this.returnRows = process.env.SUPABASE_RETURN_ROWS === 'true';
   }
 
   /**
@@ -44,13 +64,131 @@ class SupabaseClient {
   }
 
   /**
-   * Upserts data into a Supabase table
+   * Writes records in byte-sized chunks, with up to writeConcurrency chunk requests in flight.
+   * With isolateRows, a chunk rejected for the values of its rows is split in halves until the
+   * offending rows are isolated; the other rows are written and the offending ones returned.
+   * @param {string} table - The name of the table
+   * @param {Array} records - The records to write
+   * @param {string} action - The action for log messages, e.g. "upsert"
+   * @param {Function} writeChunk - Async function sending one chunk, resolving to {count, data, error}
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.isolateRows=false] - Isolate rows rejected by Postgres instead of failing
+   * @returns {Promise<{recordsAffected: number, recordsUncounted: number, rows: Array|null, rejected: Array<{index: number, record: Object, error: Object}>}>}
+   *   The rows Supabase reported as written, the rows sent in chunks Supabase returned no count for,
+   *   the returned rows when writeChunk selected them, and the isolated rows with their index in
+   *   records and the Postgres error
+   * @private
+   */
+  async _writeInChunks(table, records, action, writeChunk, options = {}) {
+    const chunks = chunkByBytes(records, { maxBytes: this.chunkMaxBytes, maxRows: this.chunkMaxRows });
+    const totalBytes = chunks.reduce((sum, chunk) => sum + chunk.bytes, 0);
+
+    // Index of each chunk's first record, so isolated rows can be traced back to the input
+    let offset = 0;
+    chunks.forEach(chunk => {
+      chunk.offset = offset;
+      offset += chunk.records.length;
+    });
+
+    console.log(`Splitting ${records.length} records (${Math.round(totalBytes / 1024)} KB) into ${chunks.length} chunks of max ${Math.round(this.chunkMaxBytes / 1024)} KB, ${Math.min(this.writeConcurrency, chunks.length)} at a time`);
+
+    const results = await runWithConcurrency(chunks, this.writeConcurrency, async (chunk, index) => {
+      const chunkNumber = index + 1;
+      const { count, data, error } = await writeChunk(chunk.records);
+
+      if (error && options.isolateRows && isRowError(error)) {
+        console.warn(`Chunk ${chunkNumber} of ${chunks.length} was rejected (${error.code}: ${error.message}), isolating the offending rows`);
+        const isolated = await this._isolateRejectedRows(chunk.records, chunk.offset, writeChunk, error);
+        console.log(`Wrote chunk ${chunkNumber} of ${chunks.length} without ${isolated.rejected.length} rejected rows`);
+        return isolated;
+      }
+
+      if (error) {
+        console.error(`Supabase ${action} error in chunk ${chunkNumber}`);
+        throw new Error(`Supabase ${action} error: ${error.message}`);
+      }
+
+      console.log(`Successfully wrote chunk ${chunkNumber} of ${chunks.length} (${chunk.records.length} records)`);
+      return { ...countResult(count, chunk.records.length), data, rejected: [] };
+    });
+
+    const returned = results.filter(result => Array.isArray(result.data));
+    return {
+      recordsAffected: results.reduce((sum, result) => sum + result.count, 0),
+      recordsUncounted: results.reduce((sum, result) => sum + result.uncounted, 0),
+      rows: returned.length > 0 ? returned.flatMap(result => result.data) : null,
+      rejected: results.flatMap(result => result.rejected)
+    };
+  }
+
+  /**
+   * Splits a rejected chunk in halves, writing each half separately, until every rejected
+   * half is a single row. Halves are written one after another.
+   * @param {Array} records - The records of the rejected chunk
+   * @param {number} offset - Index of the first record in the whole write
+   * @param {Function} writeChunk - Async function sending one chunk
+   * @param {Object} error - The error the chunk was rejected with
+   * @returns {Promise<{count: number, uncounted: number, data: Array|null, rejected: Array}>} The result of the good rows and the rejected rows
+   * @private
+   */
+  async _isolateRejectedRows(records, offset, writeChunk, error) {
+    if (records.length === 1) {
+      return {
+        count: 0,
+        uncounted: 0,
+        data: null,
+        rejected: [{ index: offset, record: records[0], error: { code: error.code, message: error.message, details: error.details || null } }]
+      };
+    }
+
+    const middle = Math.ceil(records.length / 2);
+    const halves = [
+      { records: records.slice(0, middle), offset },
+      { records: records.slice(middle), offset: offset + middle }
+    ];
+    const result = { count: 0, uncounted: 0, data: null, rejected: [] };
+
+    for (const half of halves) {
+      const { count, data, error: halfError } = await writeChunk(half.records);
+      let halfResult;
+
+      if (halfError && isRowError(halfError)) {
+        halfResult = await this._isolateRejectedRows(half.records, half.offset, writeChunk, halfError);
+      } else if (halfError) {
+        throw new Error(`Supabase write error while isolating rejected rows: ${halfError.message}`);
+      } else {
+        halfResult = { ...countResult(count, half.records.length), data, rejected: [] };
+      }
+
+      result.count += halfResult.count;
+      result.uncounted += halfResult.uncounted;
+      if (Array.isArray(halfResult.data)) {
+        result.data = (result.data || []).concat(halfResult.data);
+      }
+      result.rejected.push(...halfResult.rejected);
+    }
+
+    return result;
+  }
+
+  /**
+   * Upserts data into a Supabase table.
+   * Supabase only reports how many rows were written; the rows themselves are
+   * returned when options.returnRows or SUPABASE_RETURN_ROWS asks for them.
    * @param {string} table - The name of the table to upsert into
    * @param {Array} records - Array of records to upsert
-   * @param {string} onConflict - The column to check for conflicts (default: 'id')
-   * @returns {Promise<Object>} The response from Supabase
+   * @param {string} onConflict - The column, or comma-separated columns, to check for conflicts (default: 'id')
+   * @param {Object} [options] - Upsert options
+   * @param {boolean} [options.ignoreDuplicates=false] - Skip records whose conflict key already exists instead of updating them
+   * @param {boolean} [options.returnRows] - Return the written rows, for debugging (default: SUPABASE_RETURN_ROWS)
+   * @param {boolean} [options.isolateRows=false] - Write the other rows of a chunk Postgres rejects and
+   *   return the offending ones in `rejected` instead of failing
+   * @returns {Promise<Object>} The number of records sent and written, plus the rows when returned
+   *   and the rejected rows when isolated
    */
-  async upsert(table, records, onConflict = 'id') {
+  async upsert(table, records, onConflict = 'id', options = {}) {
+    const { ignoreDuplicates = false, returnRows = this.returnRows, isolateRows = false } = options;
+
     // Validate table name
     if (!this._isValidTableName(table)) {
       throw new Error('Invalid table name format');
@@ -63,74 +201,54 @@ class SupabaseClient {
 
     if (records.length === 0) {
       console.warn(`No records to upsert for table: ${table}`);
-      return { count: 0 };
+      return { success: true, recordsProcessed: 0, recordsAffected: 0, recordsUncounted: 0, rejected: [] };
     }
 
     // Validate onConflict
     if (onConflict) {
-      // Allow alphanumeric characters, underscores, hyphens, and spaces for column names
-      if (typeof onConflict !== 'string' || !/^[a-zA-Z0-9_\- ]+$/.test(onConflict)) {
+      // Allow one or more comma-separated column names (composite keys) made of
+      // alphanumeric characters, underscores, hyphens, and spaces
+      if (!isValidConflictKey(onConflict)) {
         throw new Error('Invalid conflict column format');
       }
+      onConflict = formatConflictKey(onConflict);
     }
-
-    // Check if any records are missing the conflict key
-    if (onConflict) {
-      const missingConflictKey = records.some(record => record[onConflict] === undefined);
-      if (missingConflictKey) {
-        console.warn(`Some records are missing the conflict key: ${onConflict} in table: ${table}`);
-      }
-    }
+    const keyColumns = onConflict ? parseConflictKey(onConflict) : [];
 
     try {
       console.log(`Starting upsert to ${table} table with ${records.length} records using conflict column: '${onConflict}'`);
       
-      // Verify all records have the conflict key
-      const missingKeys = records.filter(record => record[onConflict] === undefined || record[onConflict] === null);
+      // Verify all records have every conflict key column
+      const missingKeys = records.filter(record => !hasKey(record, keyColumns));
       if (missingKeys.length > 0) {
-        console.warn(`WARNING: ${missingKeys.length} records missing conflict key '${onConflict}'`);
+        console.warn(`WARNING: ${missingKeys.length} records missing conflict key '${onConflict}' in table: ${table}`);
         // Don't log the full records - just count them
       }
       
-      // Split records into chunks of 500 to avoid payload size limits
-      const chunkSize = 500;
-      const chunks = [];
-      
-      for (let i = 0; i < records.length; i += chunkSize) {
-        chunks.push(records.slice(i, i + chunkSize));
-      }
-
-      console.log(`Splitting ${records.length} records into ${chunks.length} chunks of max ${chunkSize} records each`);
-
-      const results = [];
-      let chunkNumber = 1;
-      
-      for (const chunk of chunks) {
-        console.log(`Processing chunk ${chunkNumber} of ${chunks.length} (${chunk.length} records)`);
-        
-        const { data, error } = await this.client
+      const { recordsAffected, recordsUncounted, rows, rejected } = await this._writeInChunks(table, records, 'upsert', chunk => {
+        // The exact count comes back in a header; with ignoreDuplicates it excludes the skipped rows
+        const query = this.client
           .from(table)
           .upsert(chunk, { 
             onConflict,
-            ignoreDuplicates: false // Update existing records
-          })
-          .select();
-
-        if (error) {
-          console.error(`Supabase upsert error in chunk ${chunkNumber}`);
-          throw new Error(`Supabase upsert error: ${error.message}`);
-        }
-
-        console.log(`Successfully upserted chunk ${chunkNumber} with ${chunk.length} records`);
-        results.push(...(data || []));
-        chunkNumber++;
-      }
+            ignoreDuplicates, // false updates existing records, true leaves them untouched
+            count: 'exact'
+          });
+        return returnRows ? query.select() : query;
+      }, { isolateRows });
 
-      return {
+      const result = {
         success: true,
         recordsProcessed: records.length,
-        resultsReturned: results.length
+        recordsAffected,
+        recordsUncounted,
+        rejected
       };
+      if (rows) {
+        result.rows = rows;
+        result.resultsReturned = rows.length;
+      }
+      return result;
     } catch (error) {
       console.error(`Error during upsert to ${table}`);
       throw new Error(`Failed to upsert to table ${table}: ${error.message}`);
@@ -180,6 +298,53 @@ class SupabaseClient {
     }
   }
 
+  /**
+   * Reads the columns of a table from the PostgREST OpenAPI document.
+   * The document is fetched once per process and reused for every table.
+   * @param {string} table - The name of the table
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh=false] - Fetch the document again
+   * @returns {Promise<{columns: Object, required: Array<string>}|null>} Column formats by name
+   *   (e.g. {amount: "numeric"}) and the NOT NULL columns without defaults, or null if the table is not exposed
+   */
+  async getTableDefinition(table, options = {}) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+    
+    if (!this.openApiSpec || options.refresh) {
+      try {
+        const response = await axios.get(this.restUrl, {
+          headers: {
+            apikey: this.serviceKey,
+            Authorization: `Bearer ${this.serviceKey}`,
+            Accept: 'application/openapi+json'
+          },
+          timeout: 30000
+        });
+        this.openApiSpec = response.data;
+      } catch (error) {
+        const status = error.response ? ` (${error.response.status})` : '';
+        throw new Error(`Failed to read the Supabase schema${status}: ${error.message}`);
+      }
+    }
+    
+    const definition = this.openApiSpec && this.openApiSpec.definitions && this.openApiSpec.definitions[table];
+    if (!definition) {
+      return null;
+    }
+    
+    const columns = {};
+    Object.entries(definition.properties || {}).forEach(([name, property]) => {
+      columns[name] = property.format || property.type || 'unknown';
+    });
+    
+    return {
+      columns,
+      required: definition.required || []
+    };
+  }
+
   /**
    * Gets the current record count for a table
    * @param {string} table - The name of the table
@@ -203,12 +368,325 @@ class SupabaseClient {
     }
   }
 
+  /**
+   * Inserts records into a Supabase table without any conflict handling
+   * @param {string} table - The name of the table to insert into
+   * @param {Array} records - Array of records to insert
+   * @param {Object} [options] - Insert options
+   * @param {boolean} [options.isolateRows=false] - Write the other rows of a chunk Postgres rejects and
+   *   return the offending ones in `rejected` instead of failing
+   * @returns {Promise<Object>} The number of records inserted, and the rejected rows when isolated
+   */
+  async insert(table, records, options = {}) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    if (!Array.isArray(records)) {
+      throw new Error('Records must be an array');
+    }
+
+    if (records.length === 0) {
+      console.warn(`No records to insert for table: ${table}`);
+      return { success: true, recordsProcessed: 0, recordsAffected: 0, recordsUncounted: 0, rejected: [] };
+    }
+
+    try {
+      console.log(`Starting insert to ${table} table with ${records.length} records`);
+
+      const { recordsAffected, recordsUncounted, rejected } = await this._writeInChunks(table, records, 'insert', chunk => this.client
+        .from(table)
+        .insert(chunk, { count: 'exact' }), { isolateRows: options.isolateRows });
+
+      return {
+        success: true,
+        recordsProcessed: records.length,
+        recordsAffected,
+        recordsUncounted,
+        rejected
+      };
+    } catch (error) {
+      console.error(`Error during insert to ${table}`);
+      throw new Error(`Failed to insert into table ${table}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the key columns of every row in a table, one page at a time
+   * @param {string} table - The name of the table
+   * @param {Array<string>} columns - The key columns to read
+   * @param {Object} [options] - Options
+   * @param {string} [options.whereNull] - Only read rows where this column is null
+   * @returns {Promise<Array<Object>>} One object per row with only the key columns
+   */
+  async getKeys(table, columns, options = {}) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    const pageSize = 1000;
+    const keys = [];
+    let from = 0;
+
+    try {
+      while (true) {
+        let query = this.client
+          .from(table)
+          .select(columns.join(','));
+
+        if (options.whereNull) {
+          query = query.is(options.whereNull, null);
+        }
+
+        // A stable order keeps the ranges from skipping or repeating rows
+        columns.forEach(column => {
+          query = query.order(column, { ascending: true });
+        });
+
+        const { data, error } = await query.range(from, from + pageSize - 1);
+
+        if (error) throw error;
+
+        keys.push(...(data || []));
+
+        if (!data || data.length < pageSize) {
+          return keys;
+        }
+        from += pageSize;
+      }
+    } catch (error) {
+      console.error(`Error reading keys from ${table}`);
+      throw new Error(`Failed to read table keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads columns of the rows matching the given keys
+   * @param {string} table - The name of the table
+   * @param {Array<string>} keyColumns - The key columns
+   * @param {Array<Object>} keys - Objects holding the key column values of the rows to read
+   * @param {Array<string>} columns - The columns to read besides the key columns
+   * @returns {Promise<Array<Object>>} One object per existing row with the key columns and the columns
+   */
+  async getRowsByKeys(table, keyColumns, keys, columns) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    // Keep the filter short enough for the request URL
+    const chunkSize = keyColumns.length === 1 ? 200 : 50;
+    const chunks = [];
+    for (let i = 0; i < keys.length; i += chunkSize) {
+      chunks.push(keys.slice(i, i + chunkSize));
+    }
+
+    try {
+      const results = await runWithConcurrency(chunks, this.writeConcurrency, async chunk => {
+        const query = this.client
+          .from(table)
+          .select([...keyColumns, ...columns].join(','));
+
+        const { data, error } = await this._filterByKeys(query, keyColumns, chunk);
+
+        if (error) throw error;
+        return data || [];
+      });
+
+      return results.flat();
+    } catch (error) {
+      console.error(`Error reading rows from ${table}`);
+      throw new Error(`Failed to read rows by key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes the rows matching the given keys
+   * @param {string} table - The name of the table
+   * @param {Array<string>} columns - The key columns
+   * @param {Array<Object>} keys - Objects holding the key column values of the rows to delete
+   * @returns {Promise<number>} The number of rows deleted
+   */
+  async deleteByKeys(table, columns, keys) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    // Keep the filter short enough for the request URL
+    const chunkSize = columns.length === 1 ? 200 : 50;
+    let deleted = 0;
+
+    try {
+      for (let i = 0; i < keys.length; i += chunkSize) {
+        const chunk = keys.slice(i, i + chunkSize);
+        const query = this.client
+          .from(table)
+          .delete({ count: 'exact' });
+
+        const { count, error } = await this._filterByKeys(query, columns, chunk);
+
+        if (error) throw error;
+        deleted += count || 0;
+      }
+
+      return deleted;
+    } catch (error) {
+      console.error(`Error deleting rows from ${table}`);
+      throw new Error(`Failed to delete rows: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks the rows matching the given keys as deleted by setting a timestamp column,
+   * leaving rows that are already marked alone
+   * @param {string} table - The name of the table
+   * @param {Array<string>} columns - The key columns
+   * @param {Array<Object>} keys - Objects holding the key column values of the rows to mark
+   * @param {string} deletedAtColumn - The timestamp column to set
+   * @returns {Promise<number>} The number of rows marked
+   */
+  async markDeletedByKeys(table, columns, keys, deletedAtColumn) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    const chunkSize = columns.length === 1 ? 200 : 50;
+    const deletedAt = new Date().toISOString();
+    let marked = 0;
+
+    try {
+      for (let i = 0; i < keys.length; i += chunkSize) {
+        const chunk = keys.slice(i, i + chunkSize);
+        const query = this.client
+          .from(table)
+          .update({ [deletedAtColumn]: deletedAt }, { count: 'exact' })
+          .is(deletedAtColumn, null);
+
+        const { count, error } = await this._filterByKeys(query, columns, chunk);
+
+        if (error) throw error;
+        marked += count || 0;
+      }
+
+      return marked;
+    } catch (error) {
+      console.error(`Error marking rows as deleted in ${table}`);
+      throw new Error(`Failed to mark rows as deleted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restricts a query to the rows matching the given keys
+   * @param {Object} query - A supabase-js filter builder
+   * @param {Array<string>} columns - The key columns
+   * @param {Array<Object>} keys - Objects holding the key column values
+   * @returns {Object} The filtered query
+   * @private
+   */
+  _filterByKeys(query, columns, keys) {
+    if (columns.length === 1) {
+      return query.in(columns[0], keys.map(key => key[columns[0]]));
+    }
+
+    // (a = 1 AND b = 2) OR (a = 3 AND b = 4) ...
+    const filter = keys
+      .map(key => `and(${columns.map(column => `${column}.eq.${quoteFilterValue(key[column])}`).join(',')})`)
+      .join(',');
+    return query.or(filter);
+  }
+
+  /**
+   * Empties (or creates) the staging table of a table for the swap method,
+   * through the sync_prepare_staging Postgres function
+   * @param {string} table - The name of the live table
+   * @returns {Promise<string>} The name of the staging table
+   */
+  async prepareStagingTable(table) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+    
+    try {
+      const { data: stagingTable, error } = await this.client
+        .rpc('sync_prepare_staging', { target_table: table });
+
+      if (error) throw error;
+      
+      // A newly created staging table is only writable once PostgREST has reloaded its schema cache
+      for (let attempt = 1; attempt <= 10; attempt++) {
+        const { error: readError } = await this.client
+          .from(stagingTable)
+          .select('*', { head: true });
+        
+        if (!readError) {
+          return stagingTable;
+        }
+        if (!['PGRST205', '42P01'].includes(readError.code)) {
+          throw readError;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      
+      throw new Error(`${stagingTable} is not visible to the Supabase API yet`);
+    } catch (error) {
+      console.error(`Error preparing the staging table for ${table}`);
+      throw new Error(`Failed to prepare staging table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces the rows of a table with the rows of its staging table in one transaction,
+   * through the sync_swap_staging Postgres function. Nothing changes unless the staging
+   * table holds exactly the expected number of rows.
+   * @param {string} table - The name of the live table
+   * @param {number} expectedCount - The number of rows written to the staging table
+   * @returns {Promise<{deleted: number, inserted: number}>} The rows replaced and the rows swapped in
+   */
+  async swapStagingTable(table, expectedCount) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+    
+    try {
+      const { data, error } = await this.client
+        .rpc('sync_swap_staging', { target_table: table, expected_count: expectedCount });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`Error swapping the staging table into ${table}`);
+      throw new Error(`Failed to swap staging table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drops the staging table of a table, discarding its staged rows,
+   * through the sync_drop_staging Postgres function
+   * @param {string} table - The name of the live table
+   * @returns {Promise<void>}
+   */
+  async dropStagingTable(table) {
+    if (!this._isValidTableName(table)) {
+      throw new Error('Invalid table name format');
+    }
+
+    try {
+      const { error } = await this.client
+        .rpc('sync_drop_staging', { target_table: table });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error(`Error dropping the staging table of ${table}`);
+      throw new Error(`Failed to drop staging table: ${error.message}`);
+    }
+  }
+
   /**
    * Truncates a table (removes all records)
    * @param {string} table - The name of the table to truncate
+   * @param {string} column - A non-null column present on every row (default: 'id')
    * @returns {Promise<boolean>} True if successful
    */
-  async truncateTable(table) {
+  async truncateTable(table, column = 'id') {
     if (!this._isValidTableName(table)) {
       throw new Error('Invalid table name format');
     }
@@ -217,9 +695,10 @@ class SupabaseClient {
       const { error } = await this.client
         .from(table)
         .delete()
-        .neq('id', 0); // Delete all records
+        .not(column, 'is', null); // Delete all records
 
       if (error) throw error;
+      return true;
     } catch (error) {
       console.error(`Error truncating table ${table}`);
       throw new Error(`Failed to truncate table: ${error.message}`);
@@ -0,0 +1,287 @@
+/**
+ * Generates Supabase (Postgres) DDL from mapping column specs.
+ *
+ * A mapping's table schema is:
+ *   columns     - every column the mapping writes, plus its timestamp, soft-delete and hash columns
+ *   primaryKey  - the conflictKey columns, which upserts with onConflict depend on
+ *   uniqueKeys  - the fields a key column without a source is built from (sales_order_internal_id, line_id)
+ *   indexes     - the foreign-ID (*_internal_id) columns outside the primary key, and the timestamp column
+ */
+
+const { parseConflictKey } = require('./keys');
+const { getKeyFields } = require('../transform/syntheticKeys');
+
+// Postgres column type for each mapping column type
+const SQL_TYPES = {
+  id: 'bigint',
+  integer: 'bigint',
+  number: 'numeric',
+  percent: 'numeric',
+  date: 'date',
+  // NetSuite datetimes carry no offset
+  datetime: 'timestamp',
+  text: 'text',
+  boolean: 'boolean'
+};
+
+/**
+ * Quotes a Postgres identifier
+ * @param {string} name - The identifier
+ * @returns {string} The quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Returns the Postgres type of a column spec
+ * @param {Object} spec - Column spec
+ * @returns {string} The Postgres type
+ */
+function getSqlType(spec) {
+  // Key columns hold keys such as "1234_5" or a hash, which are text whatever the declared type
+  if (spec.key || spec.template) return 'text';
+  return SQL_TYPES[spec.type] || 'text';
+}
+
+/**
+ * Returns the timestamp column a mapping writes
+ * @param {Object} mapping - The mapping configuration
+ * @returns {string|null} The column name, or null when the mapping writes none
+ */
+function getTimestampColumn(mapping) {
+  return mapping.timestampColumn === undefined ? 'timestamp' : mapping.timestampColumn;
+}
+
+/**
+ * Lists the destination columns of a mapping, including the timestamp column
+ * @param {Object} mapping - The mapping configuration with a columns array
+ * @returns {Array<{name: string, sqlType: string, notNull: boolean}>} The columns
+ */
+function getTableColumns(mapping) {
+  const keyColumns = parseConflictKey(mapping.conflictKey);
+  const columns = mapping.columns.map(spec => ({
+    name: spec.column,
+    sqlType: getSqlType(spec),
+    notNull: Boolean(spec.required) || keyColumns.includes(spec.column)
+  }));
+
+  const timestampColumn = getTimestampColumn(mapping);
+  if (timestampColumn) {
+    columns.push({ name: timestampColumn, sqlType: 'timestamptz', notNull: false });
+  }
+
+  // Set when the row disappears from the source, cleared when it comes back
+  if (mapping.missingRows === 'softDelete') {
+    columns.push({ name: mapping.deletedAtColumn || 'deleted_at', sqlType: 'timestamptz', notNull: false });
+  }
+
+  // Content hash compared by change detection
+  if (mapping.changeDetection) {
+    columns.push({ name: mapping.hashColumn || 'row_hash', sqlType: 'text', notNull: false });
+  }
+
+  return columns;
+}
+
+/**
+ * Builds the table schema of a mapping
+ * @param {Object} mapping - The mapping configuration with a columns array
+ * @returns {{table: string, columns: Array, primaryKey: Array<string>, uniqueKeys: Array<Array<string>>, indexes: Array<{name: string, columns: Array<string>}>}}
+ *   The table schema
+ */
+function buildTableSchema(mapping) {
+  const { table } = mapping;
+  const columns = getTableColumns(mapping);
+  const columnNames = columns.map(column => column.name);
+  const primaryKey = parseConflictKey(mapping.conflictKey);
+
+  // A key column is unique exactly when the fields it is built from are. A key the search
+  // may supply itself (a source) is not always built from them, so only the primary key holds
+  const uniqueKeys = [];
+  mapping.columns
+    .filter(spec => getKeyFields(spec).length > 0 && spec.source === undefined && primaryKey.includes(spec.column))
+    .forEach(spec => {
+      const fields = getKeyFields(spec);
+      const keyColumns = fields
+        .map(field => (mapping.columns.find(other => other.source === field) || {}).column)
+        .filter(Boolean);
+      if (keyColumns.length === fields.length && keyColumns.length > 0) {
+        uniqueKeys.push(keyColumns);
+      }
+    });
+
+  const indexedColumns = mapping.columns
+    .filter(spec => spec.type === 'id' && /_internal_id$/.test(spec.column) && !primaryKey.includes(spec.column))
+    .map(spec => spec.column);
+  const timestampColumn = getTimestampColumn(mapping);
+  if (timestampColumn && columnNames.includes(timestampColumn)) {
+    indexedColumns.push(timestampColumn);
+  }
+
+  return {
+    table,
+    columns,
+    primaryKey,
+    uniqueKeys,
+    indexes: indexedColumns.map(column => ({ name: `${table}_${column}_idx`, columns: [column] }))
+  };
+}
+
+/**
+ * Formats a column definition
+ * @param {{name: string, sqlType: string, notNull: boolean}} column - The column
+ * @returns {string} The definition, e.g. "amount" numeric
+ */
+function formatColumn(column) {
+  return `${quoteIdentifier(column.name)} ${column.sqlType}${column.notNull ? ' not null' : ''}`;
+}
+
+/**
+ * Returns the name of a unique constraint
+ * @param {string} table - The table
+ * @param {Array<string>} columns - The constrained columns
+ * @returns {string} The constraint name
+ */
+function getUniqueKeyName(table, columns) {
+  return `${table}_${columns.join('_')}_key`;
+}
+
+/**
+ * Builds the statement adding a unique constraint to an existing table. Postgres has no
+ * "add constraint if not exists", so the statement checks the catalog itself and can be
+ * applied again.
+ * @param {string} table - The table
+ * @param {Array<string>} columns - The constrained columns
+ * @param {string} [schemaName='public'] - The Postgres schema
+ * @returns {string} The statement
+ */
+function buildAddUniqueKeySql(table, columns, schemaName = 'public') {
+  const tableName = `${quoteIdentifier(schemaName)}.${quoteIdentifier(table)}`;
+  const name = getUniqueKeyName(table, columns);
+  return [
+    'do $$',
+    'begin',
+    `  if not exists (select 1 from pg_constraint where conname = '${name}' and conrelid = '${tableName}'::regclass) then`,
+    `    alter table ${tableName} add constraint ${quoteIdentifier(name)} unique (${columns.map(quoteIdentifier).join(', ')});`,
+    '  end if;',
+    'end;',
+    '$$;'
+  ].join('\n');
+}
+
+/**
+ * Builds the CREATE INDEX statement of an index
+ * @param {string} table - The table
+ * @param {{name: string, columns: Array<string>}} index - The index
+ * @param {string} [schemaName='public'] - The Postgres schema
+ * @returns {string} The statement
+ */
+function buildCreateIndexSql(table, index, schemaName = 'public') {
+  return `create index if not exists ${quoteIdentifier(index.name)} on ${quoteIdentifier(schemaName)}.${quoteIdentifier(table)} (${index.columns.map(quoteIdentifier).join(', ')});`;
+}
+
+/**
+ * Builds a CREATE TABLE statement for a mapping. The conflict key becomes the
+ * primary key, which is what upserts with onConflict need.
+ * @param {Object} mapping - The mapping configuration with a columns array
+ * @param {string} [schemaName='public'] - The Postgres schema
+ * @returns {string} The statement
+ */
+function buildCreateTableSql(mapping, schemaName = 'public') {
+  const schema = buildTableSchema(mapping);
+  const lines = schema.columns.map(column => `  ${formatColumn(column)}`);
+  lines.push(`  primary key (${schema.primaryKey.map(quoteIdentifier).join(', ')})`);
+  schema.uniqueKeys.forEach(columns => {
+    lines.push(`  constraint ${quoteIdentifier(getUniqueKeyName(schema.table, columns))} unique (${columns.map(quoteIdentifier).join(', ')})`);
+  });
+
+  return `create table if not exists ${quoteIdentifier(schemaName)}.${quoteIdentifier(schema.table)} (\n${lines.join(',\n')}\n);`;
+}
+
+/**
+ * Builds the CREATE TABLE and CREATE INDEX statements for a mapping. Row level security
+ * is enabled without policies: the sync writes with the service role key, which bypasses
+ * it, and the anon and authenticated roles get no access until policies are added.
+ * @param {Object} mapping - The mapping configuration with a columns array
+ * @param {string} [schemaName='public'] - The Postgres schema
+ * @returns {string} The statements
+ */
+function buildCreateStatements(mapping, schemaName = 'public') {
+  const schema = buildTableSchema(mapping);
+  return [
+    buildCreateTableSql(mapping, schemaName),
+    `alter table ${quoteIdentifier(schemaName)}.${quoteIdentifier(schema.table)} enable row level security;`,
+    ...schema.indexes.map(index => buildCreateIndexSql(schema.table, index, schemaName))
+  ].join('\n');
+}
+
+/**
+ * Builds the statements that bring a table from its previous schema to the current one.
+ * Additions are applied; changes that could lose data (type changes, removed columns,
+ * a different primary key) are left as comments to handle by hand.
+ * @param {Object} previous - The table schema the last migration produced
+ * @param {Object} current - The table schema from the mapping
+ * @param {string} [schemaName='public'] - The Postgres schema
+ * @returns {Array<string>} The statements, empty when nothing changed
+ */
+function buildAlterStatements(previous, current, schemaName = 'public') {
+  const tableName = `${quoteIdentifier(schemaName)}.${quoteIdentifier(current.table)}`;
+  const statements = [];
+  const previousColumns = new Map(previous.columns.map(column => [column.name, column]));
+  const currentNames = current.columns.map(column => column.name);
+
+  current.columns.forEach(column => {
+    const existing = previousColumns.get(column.name);
+    if (!existing) {
+      // Existing rows have no value yet, so new columns start out nullable
+      statements.push(`alter table ${tableName} add column if not exists ${quoteIdentifier(column.name)} ${column.sqlType};`);
+      if (column.notNull) {
+        statements.push(`-- ${column.name} is required by the mapping: backfill it, then set not null`);
+      }
+    } else if (existing.sqlType !== column.sqlType) {
+      statements.push(`-- ${column.name} changed from ${existing.sqlType} to ${column.sqlType}: alter the column type by hand`);
+    }
+  });
+
+  previous.columns
+    .filter(column => !currentNames.includes(column.name))
+    .forEach(column => {
+      statements.push(`-- ${column.name} is no longer written by the mapping; drop it by hand once it is unused`);
+    });
+
+  if (previous.primaryKey.join(',') !== current.primaryKey.join(',')) {
+    statements.push(`-- conflictKey changed from (${previous.primaryKey.join(', ')}) to (${current.primaryKey.join(', ')}): replace the primary key by hand`);
+  }
+
+  const previousUniqueKeys = previous.uniqueKeys.map(columns => columns.join(','));
+  const currentUniqueKeys = current.uniqueKeys.map(columns => columns.join(','));
+  previous.uniqueKeys
+    .filter(columns => !currentUniqueKeys.includes(columns.join(',')))
+    .forEach(columns => {
+      statements.push(`alter table ${tableName} drop constraint if exists ${quoteIdentifier(getUniqueKeyName(current.table, columns))};`);
+    });
+  current.uniqueKeys
+    .filter(columns => !previousUniqueKeys.includes(columns.join(',')))
+    .forEach(columns => statements.push(buildAddUniqueKeySql(current.table, columns, schemaName)));
+
+  const previousIndexes = previous.indexes.map(index => index.name);
+  current.indexes
+    .filter(index => !previousIndexes.includes(index.name))
+    .forEach(index => statements.push(buildCreateIndexSql(current.table, index, schemaName)));
+
+  return statements;
+}
+
+module.exports = {
+  SQL_TYPES,
+  buildAlterStatements,
+  buildCreateIndexSql,
+  buildCreateStatements,
+  buildCreateTableSql,
+  buildTableSchema,
+  getSqlType,
+  getTableColumns,
+  getTimestampColumn,
+  quoteIdentifier
+};
@@ -0,0 +1,210 @@
+/**
+ * Compares what a mapping writes with the destination table and with the fields
+ * NetSuite returned, before anything is written.
+ *
+ * Every issue names the side the column is missing from:
+ *   supabase - the mapping writes a column the table does not have (or with an incompatible type)
+ *   netsuite - a column's source field is not in the NetSuite results (renamed or removed search column)
+ *   mapping  - the table or NetSuite has a column the mapping does not write
+ *
+ * The mapping's "schemaDrift" policy decides what happens:
+ *   warn   - log every issue and write anyway (default)
+ *   fail   - fail the mapping before writing when any issue would lose or reject data
+ *   ignore - drop columns the table does not have from every row, log the rest
+ */
+
+const { parseConflictKey } = require('./keys');
+const { getKeyFields } = require('../transform/syntheticKeys');
+
+const DRIFT_POLICIES = ['warn', 'fail', 'ignore'];
+
+const TEXT_FORMATS = ['text', 'character varying', 'character', 'citext'];
+const INTEGER_FORMATS = ['bigint', 'integer', 'smallint'];
+const NUMERIC_FORMATS = [...INTEGER_FORMATS, 'numeric', 'real', 'double precision'];
+const TIMESTAMP_FORMATS = ['timestamp with time zone', 'timestamp without time zone'];
+
+// Postgres formats (as reported by PostgREST) each mapping column type can be written to
+const COMPATIBLE_FORMATS = {
+  id: [...NUMERIC_FORMATS, ...TEXT_FORMATS],
+  integer: NUMERIC_FORMATS,
+  number: NUMERIC_FORMATS,
+  percent: NUMERIC_FORMATS,
+  date: ['date', ...TIMESTAMP_FORMATS, ...TEXT_FORMATS],
+  datetime: [...TIMESTAMP_FORMATS, ...TEXT_FORMATS],
+  text: TEXT_FORMATS,
+  boolean: ['boolean']
+};
+
+/**
+ * Lists the raw fields present in any of the records
+ * @param {Array} rawRecords - Raw NetSuite records
+ * @returns {Set<string>} The field names
+ */
+function collectFields(rawRecords) {
+  const fields = new Set();
+  rawRecords.forEach(record => Object.keys(record).forEach(field => fields.add(field)));
+  return fields;
+}
+
+/**
+ * Detects drift between a mapping's output, the destination table and the NetSuite fields
+ * @param {Object} mapping - The mapping configuration
+ * @param {{columns: Object, required: Array<string>}|null} tableDefinition - The table's columns, from
+ *   SupabaseClient.getTableDefinition, or null to only compare with the NetSuite fields
+ * @param {Array} rows - Processed rows of the first page
+ * @param {Array} rawRecords - Raw NetSuite records of the first page
+ * @returns {{issues: Array<{column: string, side: string, message: string, blocking: boolean}>, extraColumns: Array<string>}}
+ *   The issues, and the written columns the table does not have
+ */
+function detectSchemaDrift(mapping, tableDefinition, rows, rawRecords) {
+  const issues = [];
+  const tableColumns = tableDefinition ? tableDefinition.columns : null;
+  const required = tableDefinition ? tableDefinition.required : [];
+  const writtenColumns = [...collectFields(rows)];
+  // The upsert writer adds the soft-delete and hash columns to every row
+  if (mapping.missingRows === 'softDelete') {
+    writtenColumns.push(mapping.deletedAtColumn || 'deleted_at');
+  }
+  if (mapping.changeDetection) {
+    writtenColumns.push(mapping.hashColumn || 'row_hash');
+  }
+  const rawFields = collectFields(rawRecords);
+  const timestampColumn = mapping.timestampColumn === undefined ? 'timestamp' : mapping.timestampColumn;
+
+  // Columns the mapping writes that the table lacks: PostgREST rejects the whole chunk
+  const extraColumns = tableColumns ? writtenColumns.filter(column => !(column in tableColumns)) : [];
+  extraColumns.forEach(column => {
+    issues.push({
+      column,
+      side: 'supabase',
+      message: `column "${column}" is written by the mapping but missing in Supabase table ${mapping.table}`,
+      blocking: true
+    });
+  });
+
+  // NOT NULL columns without a default that the mapping never fills
+  required
+    .filter(column => !writtenColumns.includes(column))
+    .forEach(column => {
+      issues.push({
+        column,
+        side: 'mapping',
+        message: `required column "${column}" of ${mapping.table} is missing in the mapping output`,
+        blocking: true
+      });
+    });
+
+  // Optional table columns the mapping leaves alone are worth knowing about, but harmless
+  Object.keys(tableColumns || {})
+    .filter(column => !writtenColumns.includes(column) && !required.includes(column))
+    .forEach(column => {
+      issues.push({
+        column,
+        side: 'mapping',
+        message: `column "${column}" of ${mapping.table} is missing in the mapping output`,
+        blocking: false
+      });
+    });
+
+  // The remaining checks need the declared column specs
+  if (!mapping.columns) {
+    return { issues, extraColumns };
+  }
+
+  const usedFields = new Set();
+  mapping.columns.forEach(spec => {
+    const keyFields = getKeyFields(spec);
+    const isKeyColumn = keyFields.length > 0;
+    const sources = spec.key && spec.source === undefined ? [] : Array.isArray(spec.source) ? spec.source : [spec.source || spec.column];
+    [...sources, ...keyFields].forEach(field => usedFields.add(field));
+    const suppliesKey = isKeyColumn && spec.source !== undefined && sources.some(source => rawFields.has(source));
+
+    // A missing source silently turns into an empty value; key columns are built from other fields
+    if (!isKeyColumn && !sources.some(source => rawFields.has(source))) {
+      issues.push({
+        column: spec.column,
+        side: 'netsuite',
+        message: `source field ${sources.map(source => `"${source}"`).join(' / ')} of column "${spec.column}" is missing in the NetSuite results`,
+        blocking: true
+      });
+    }
+
+    // Every record would be rejected for an empty key, unless the search supplies the key itself
+    keyFields
+      .filter(field => !rawFields.has(field))
+      .forEach(field => {
+        issues.push({
+          column: spec.column,
+          side: 'netsuite',
+          message: `key field "${field}" of column "${spec.column}" is missing in the NetSuite results`,
+          blocking: !suppliesKey
+        });
+      });
+
+    const format = tableColumns && tableColumns[spec.column];
+    const compatible = isKeyColumn ? TEXT_FORMATS : COMPATIBLE_FORMATS[spec.type];
+    if (format && compatible && !compatible.includes(format)) {
+      issues.push({
+        column: spec.column,
+        side: 'supabase',
+        message: `column "${spec.column}" is ${format} in Supabase table ${mapping.table} but the mapping writes ${isKeyColumn ? 'a text key' : spec.type}`,
+        blocking: true
+      });
+    }
+  });
+
+  if (timestampColumn && tableColumns && tableColumns[timestampColumn] && ![...TIMESTAMP_FORMATS, ...TEXT_FORMATS].includes(tableColumns[timestampColumn])) {
+    issues.push({
+      column: timestampColumn,
+      side: 'supabase',
+      message: `column "${timestampColumn}" is ${tableColumns[timestampColumn]} in Supabase table ${mapping.table} but the mapping writes a timestamp`,
+      blocking: true
+    });
+  }
+
+  // New saved search columns nobody maps yet
+  [...rawFields]
+    .filter(field => !usedFields.has(field))
+    .forEach(field => {
+      issues.push({
+        column: field,
+        side: 'mapping',
+        message: `NetSuite field "${field}" is missing in the mapping columns`,
+        blocking: false
+      });
+    });
+
+  return { issues, extraColumns };
+}
+
+/**
+ * Removes columns from rows
+ * @param {Array} rows - Processed rows
+ * @param {Array<string>} columns - Columns to remove
+ * @returns {Array} Rows without the columns
+ */
+function dropColumns(rows, columns) {
+  if (columns.length === 0) return rows;
+  return rows.map(row => {
+    const kept = { ...row };
+    columns.forEach(column => delete kept[column]);
+    return kept;
+  });
+}
+
+/**
+ * Checks whether dropping columns would remove part of the conflict key
+ * @param {Object} mapping - The mapping configuration
+ * @param {Array<string>} columns - Columns to drop
+ * @returns {boolean} Whether a key column is among them
+ */
+function dropsKeyColumn(mapping, columns) {
+  return parseConflictKey(mapping.conflictKey).some(column => columns.includes(column));
+}
+
+module.exports = {
+  DRIFT_POLICIES,
+  detectSchemaDrift,
+  dropColumns,
+  dropsKeyColumn
+};
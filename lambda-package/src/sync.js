@@ -1,28 +1,47 @@
+const crypto = require('crypto');
 const netsuiteClient = require('./netsuite/client');
 const supabaseClient = require('./supabase/client');
 const config = require('./config');
+const { getKeyString, hasKey, parseConflictKey } = require('./supabase/keys');
+const { RESUMABLE_METHODS, createWriter } = require('./supabase/writeStrategies');
+const watermarkStore = require('./supabase/watermarks');
+const checkpointStore = require('./supabase/checkpoints');
+const { buildSearchFilters } = require('./netsuite/filters');
+const responseRecorder = require('./netsuite/recorder');
+const { NetSuiteError } = require('./netsuite/errors');
+const deadLetterStore = require('./supabase/deadLetters');
+const { detectSchemaDrift, dropColumns, dropsKeyColumn } = require('./supabase/schemaDrift');
+const { buildRows } = require('./transform/rowBuilder');
+const { coerceInteger, coerceNumber } = require('./transform/coerce');
+const { DuplicateKeyFilter } = require('./transform/dedupe');
+const { RowValidator } = require('./transform/validation');
+const rejectReport = require('./rejectReport');
+const { buildStages, findCriticalPath, getDependencies, runPlan } = require('./executionPlan');
 
-// Tables that require page-by-page processing due to large data volumes
-const PAGINATED_TABLES = new Set([
-  'invoices_detailed',
-  'item_fulfillments_detailed',
-  'sales_orders_detailed'
-]);
-
-function requiresPagination(table) {
-  return PAGINATED_TABLES.has(table);
+/**
+ * Creates the empty stats of a sync run
+ * @returns {Object} The stats
+ */
+function createSyncStats() {
+  return {
+    runId: null,
+    startTime: null,
+    endTime: null,
+    totalMappings: 0,
+    successfulSyncs: 0,
+    failedSyncs: 0,
+    skippedSyncs: 0,
+    mappingResults: [],
+    recordsQuarantined: 0,
+    rejectReport: null,
+    executionPlan: null,
+    errors: []
+  };
 }
 
 class SyncManager {
   constructor() {
-    this.syncStats = {
-      startTime: null,
-      endTime: null,
-      totalMappings: 0,
-      successfulSyncs: 0,
-      failedSyncs: 0,
-      errors: []
-    };
+    this.syncStats = createSyncStats();
   }
 
   /**
@@ -41,22 +60,40 @@ class SyncManager {
    */
   logError(message, error) {
     this.log(`ERROR: ${message}`);
-    this.syncStats.errors.push({
+    const entry = {
       message,
       error: error.message,
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    // Keep NetSuite's status and error code so failures can be told apart without parsing messages
+    if (error instanceof NetSuiteError) {
+      Object.assign(entry, {
+        type: error.name,
+        status: error.status,
+        code: error.code,
+        searchId: error.searchId,
+        page: error.page
+      });
+    }
+    
+    this.syncStats.errors.push(entry);
   }
 
   /**
    * Validates connections to both NetSuite and Supabase
    * @returns {Promise<boolean>} True if both connections are valid
    */
-  async validateConnections() {
+  async validateConnections(options = {}) {
     try {
       this.log('Validating NetSuite connection...');
       await netsuiteClient.validateCredentials();
       
+      if (options.dryRun) {
+        this.log('Dry run: skipping Supabase connection validation');
+        return true;
+      }
+      
       this.log('Validating Supabase connection...');
       
       // Ensure we have at least one mapping to validate against
@@ -78,13 +115,19 @@ class SyncManager {
   }
 
   /**
-   * Process records to ensure they have correct data types for the specific table
-   * @param {string} table - The table name to process for
+   * Process records to ensure they have correct data types for the mapping's table.
+   * Mappings that declare "columns" are built from that spec; others fall back to
+   * name-based type guessing.
+   * @param {Object} mapping - The mapping configuration
    * @param {Array} rawRecords - Raw records from NetSuite
-   * @returns {Array} Processed records with correct data types
+   * @param {number} [rowOffset=0] - Number of records in earlier pages of the same search
+   * @returns {{rows: Array, sourceRecords: Array, rejected: Array, coercionErrors: Array}} Processed records with
+   *   correct data types, the raw record each one was built from, the records skipped for missing required
+   *   columns or keys ({record, missing, emptyKeyFields}), and the values that could not be converted to their column type
    */
-  processRecordsForTable(table, rawRecords) {
-    if (!rawRecords || rawRecords.length === 0) return [];
+  processRecordsForMapping(mapping, rawRecords, rowOffset = 0) {
+    const { table } = mapping;
+    if (!rawRecords || rawRecords.length === 0) return { rows: [], sourceRecords: [], rejected: [], coercionErrors: [] };
     
     this.log(`Processing ${rawRecords.length} records for ${table}...`);
 
@@ -92,436 +135,659 @@ class SyncManager {
     if (rawRecords.length > 0) {
       this.log(`Sample raw record structure for ${table}: ${JSON.stringify(rawRecords[0], null, 2)}`);
     }
+
+    if (Array.isArray(mapping.columns) && mapping.columns.length > 0) {
+      const { rows, sourceRecords, rejected, coercionErrors } = buildRows(mapping, rawRecords, rowOffset);
+      
+      if (coercionErrors.length > 0) {
+        this.logCoercionErrors(table, coercionErrors);
+      }
+      if (rejected.length > 0) {
+        const missingColumns = [...new Set(rejected.flatMap(reject => reject.missing))];
+        const emptyKeyFields = [...new Set(rejected.flatMap(reject => reject.emptyKeyFields))];
+        this.log(`WARNING: Skipped ${rejected.length} records for ${table} missing required columns: ${missingColumns.join(', ')}`
+          + (emptyKeyFields.length > 0 ? ` (empty key fields: ${emptyKeyFields.join(', ')})` : ''));
+      }
+      
+      return { rows, sourceRecords, rejected, coercionErrors };
+    }
     
-    // Helper functions for formatting
-    const parseNumber = (value) => {
-      if (!value) return null;
-      // Remove commas and parse as float
-      return parseFloat(String(value).replace(/,/g, '')) || null;
-    };
-    
-    const parseId = (value) => {
-      if (!value) return null;
-      // Parse as integer
-      return parseInt(String(value), 10) || null;
-    };
-    
-    // Table-specific processing logic
-    switch (table) {
-      case 'cash_sales':
-        return rawRecords.map((record, index) => {
-          return {
-            "cash_sale_internal_id": parseId(record['cash_sale_internal_id']) || index + 1,
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "created_from": record['created_from'] || '',
-            "name": record['name'] || '',
-            "amount": parseNumber(record['amount']),
-            "status": record['status'] || '',
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']),
-            "partner_internal_id": parseId(record['partner_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'credit_memos':
-        return rawRecords.map((record, index) => {
-          return {
-            "credit_memo_internal_id": parseId(record['credit_memo_internal_id']) || index + 1,
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "created_from": record['created_from'] || '',
-            "name": record['name'] || '',
-            "amount": parseNumber(record['amount']),
-            "status": record['status'] || '',
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "sales_order_internal_id": record['sales_order_internal_id'] || '', // String in Supabase
-            "partner_internal_id": parseId(record['partner_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'customers':
-        return rawRecords.map((record, index) => {
-          return {
-            "customer_internal_id": parseId(record['customer_internal_id']) || index + 1,
-            "number": parseId(record['number']),
-            "company_name": record['company_name'] || '',
-            "terms": record['terms'] || '',
-            "partner": record['partner'] || '',
-            "wholesale_customer_segment": record['wholesale_customer_segment'] || '',
-            "price_level": record['price_level'] || '',
-            "account_rating": record['account_rating'] || '',
-            "email": record['email'] || '',
-            "phone": record['phone'] || '',
-            "default_billing_address": record['default_billing_address'] || '',
-            "default_shipping_address": record['default_shipping_address'] || '',
-            "tw_email_of_primary_contact": record['tw_email_of_primary_contact'] || '',
-            "tw_email_of_billing_contact": record['tw_email_of_billing_contact'] || '',
-            "tw_email_of_billing_contact_2": record['tw_email_of_billing_contact_2'] || '',
-            "primary_currency": record['primary_currency'] || '',
-            "hold_orders_for_cc_info": record['hold_orders_for_cc_info'] || '',
-            "ar_red_flag": record['ar_red_flag'] || '',
-            "partner_internal_id": parseId(record['partner_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
+    // Generic processing for mappings without column definitions
+    this.log(`No column definitions for ${table}, using generic processing`);
+    const keyColumns = parseConflictKey(mapping.conflictKey);
+    const rows = [];
+    const sourceRecords = [];
+    const rejected = [];
+    rawRecords.forEach(record => {
+      const processedRecord = {};
       
-      case 'invoices':
-        return rawRecords.map((record, index) => {
-          return {
-            "invoice_internal_id": parseId(record['invoice_internal_id']) || index + 1,
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "created_from": record['created_from'] || '',
-            "name": record['name'] || '',
-            "amount": parseNumber(record['amount']),
-            "status": record['status'] || '',
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']),
-            "payment_link": record['payment_link'] || '',
-            "partner_internal_id": parseId(record['partner_internal_id']),
-            "timestamp": new Date().toISOString(),
-            "due_date": record['due_date'] || null
-          };
-        });
+      // Process each field, trying to convert to appropriate types
+      Object.keys(record).forEach(key => {
+        const value = record[key];
         
-      case 'invoices_detailed':
-        return rawRecords.map((record, index) => {
-          return {
-            "invoice_internal_id": parseId(record['invoice_internal_id']),
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "name": record['name'] || '',
-            "status": record['status'] || '',
-            "item_name": record['item_name'] || '',
-            "design": record['design'] || '',
-            "class": record['class'] || '',
-            "upc_code": record['upc_code'] || '',
-            "quantity": parseId(record['quantity']),
-            "amount": parseNumber(record['amount']),
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "sales_order_number": record['sales_order_number'] || record['created_from'] || '',
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']),
-            "pkey": parseId(record['pkey']) || `${parseId(record['invoice_internal_id']) || index + 1}_${parseId(record['line_id']) || index + 1}`,
-            "sku": record['sku'] || '',
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'item_fulfillments':
-        return rawRecords.map((record, index) => {
-          return {
-            "item_fulfillment_internal_id": parseId(record['item_fulfillment_internal_id']) || index + 1,
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "created_from": record['created_from'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "po_check_number": record['po_check_number'] || '',
-            "name": record['name'] || '',
-            "amount": parseNumber(record['amount']),
-            "status": record['status'] || '',
-            "tracking_numbers": record['tracking_numbers'] || '',
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']),
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'item_fulfillments_detailed':
-        return rawRecords.map((record, index) => {
-          return {
-            "item_fulfillment_internal_id": parseId(record['item_fulfillment_internal_id']),
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "name": record['name'] || '',
-            "status": record['status'] || '',
-            "item_name": record['item_name'] || '',
-            "design": record['design'] || '',
-            "class": record['class'] || '',
-            "upc_code": record['upc_code'] || '',
-            "quantity": parseId(record['quantity']),
-            "pkey": parseId(record['pkey']) || `${parseId(record['item_fulfillment_internal_id']) || index + 1}_${parseId(record['line_id']) || index + 1}`,
-            "sku": record['sku'] || '',
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'partners':
-        return rawRecords.map((record, index) => {
-          return {
-            "partner_internal_id": parseId(record['partner_internal_id']) || index + 1,
-            "name": record['name'] || '',
-            "email": record['email'] || '',
-            "phone": record['phone'] || '',
-            "office_phone": record['office_phone'] || '',
-            "fax": record['fax'] || '',
-            "code": record['code'] || '',
-            "alt_email": record['alt_email'] || '',
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'sales_orders':
-        return rawRecords.map((record, index) => {
-          return {
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']) || index + 1,
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "customer_name": record['customer_name'] || record['name'] || '',
-            "amount": parseNumber(record['amount']),
-            "status": record['status'] || '',
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "ship_date": record['ship_date'] || null,
-            "ship_date_end": record['ship_date_end'] || null,
-            "partner_internal_id": parseId(record['partner_internal_id']),
-            "timestamp": new Date().toISOString()
-          };
-        });
-        
-      case 'sales_orders_detailed':
-        return rawRecords.map((record, index) => {
-          return {
-            "sales_order_internal_id": parseId(record['sales_order_internal_id']),
-            "date": record['date'] || null,
-            "document_number": record['document_number'] || '',
-            "po_number": record['po_number'] || '',
-            "nuorder_order_number": record['nuorder_order_number'] || '',
-            "customer_name": record['customer_name'] || record['name'] || '',
-            "status": record['status'] || '',
-            "item_name": record['item_name'] || '',
-            "design": record['design'] || '',
-            "class": record['class'] || '',
-            "upc_code": record['upc_code'] || '',
-            "quantity": parseId(record['quantity']),
-            "amount": parseNumber(record['amount']),
-            "line_id": parseId(record['line_id']),
-            "customer_internal_id": parseId(record['customer_internal_id']),
-            "pkey": parseId(record['pkey']) || `${parseId(record['sales_order_internal_id']) || index + 1}_${parseId(record['line_id']) || index + 1}`,
-            "sku": record['sku'] || '',
-            "timestamp": new Date().toISOString()
-          };
-        });
+        // Handle data types based on field names
+        if (key.includes('internal_id') || key.includes('_id') || key === 'id') {
+          processedRecord[key] = coerceInteger(value).value;
+        } else if (key.includes('amount') || key.includes('price') || key.includes('total')) {
+          processedRecord[key] = coerceNumber(value).value;
+        } else if (key.includes('date')) {
+          processedRecord[key] = value || null;
+        } else {
+          processedRecord[key] = value || '';
+        }
+      });
+      
+      // A record without its key cannot be written without colliding with other rows
+      if (!hasKey(processedRecord, keyColumns) || keyColumns.some(column => processedRecord[column] === '')) {
+        rejected.push({ record, missing: keyColumns, emptyKeyFields: [] });
+        return;
+      }
       
-      case 'forecast':
-        return rawRecords.map((record, index) => {
-          return {
-            "month": record['month'] || null,
-            "partner": record['sales_rep'] || record['partner'] || '',
-            "forecasted_amount": parseNumber(record['forecasted_amount']),
-            "partner_internal_id": parseId(record['partner_internal_id'] || record['partner_id']),
-            "pkey": parseId(record['pkey']) || index + 1
-          };
-        });
+      // Add timestamp
+      processedRecord.timestamp = new Date().toISOString();
       
-      default:
-        // Generic processing for tables without specific mapping
-        this.log(`No specific processing for ${table}, using generic processing`);
-        return rawRecords.map((record, index) => {
-          const processedRecord = {};
-          
-          // Process each field, trying to convert to appropriate types
-          Object.keys(record).forEach(key => {
-            const value = record[key];
-            
-            // Handle data types based on field names
-            if (key.includes('internal_id') || key.includes('_id') || key === 'id') {
-              processedRecord[key] = parseId(value);
-            } else if (key.includes('amount') || key.includes('price') || key.includes('total')) {
-              processedRecord[key] = parseNumber(value);
-            } else if (key.includes('date')) {
-              processedRecord[key] = value || null;
-            } else {
-              processedRecord[key] = value || '';
-            }
-          });
-          
-          // Ensure an ID exists for primary key
-          if (!processedRecord['id'] && !Object.keys(processedRecord).some(key => key.includes('internal_id'))) {
-            processedRecord['id'] = index + 1;
-          }
-          
-          // Add timestamp
-          processedRecord.timestamp = new Date().toISOString();
-          
-          return processedRecord;
-        });
+      rows.push(processedRecord);
+      sourceRecords.push(record);
+    });
+    
+    if (rejected.length > 0) {
+      this.log(`WARNING: Skipped ${rejected.length} records for ${table} missing conflict key columns: ${keyColumns.join(', ')}`);
     }
+    
+    return { rows, sourceRecords, rejected, coercionErrors: [] };
+  }
+
+  /**
+   * Logs the conflict key of the first processed record and warns when it is missing
+   * @param {string} table - The table name
+   * @param {Array} processedRecords - Processed records about to be written
+   * @param {string} conflictKey - The conflict key column, or comma-separated columns
+   */
+  logSampleConflictKey(table, processedRecords, conflictKey) {
+    if (processedRecords.length === 0) return;
+    
+    // Verify that every conflict key column is present and properly formatted
+    parseConflictKey(conflictKey).forEach(column => {
+      const sampleKey = processedRecords[0][column];
+      this.log(`Sample ${column}: ${sampleKey} (type: ${typeof sampleKey})`);
+      
+      if (sampleKey === null || sampleKey === undefined) {
+        this.log(`WARNING: ${column} is missing in processed records for ${table}`);
+      }
+    });
   }
 
   /**
-   * Syncs a single mapping from NetSuite to Supabase using pagination
+   * Logs the values of a page that could not be converted to their column type,
+   * with a few examples per column
+   * @param {string} table - The destination table
+   * @param {Array} coercionErrors - The failures reported by buildRows
+   */
+  logCoercionErrors(table, coercionErrors) {
+    const byColumn = new Map();
+    coercionErrors.forEach(failure => {
+      if (!byColumn.has(failure.column)) byColumn.set(failure.column, []);
+      byColumn.get(failure.column).push(failure);
+    });
+
+    this.log(`WARNING: ${coercionErrors.length} values for ${table} could not be converted to their column type:`);
+    byColumn.forEach((failures, column) => {
+      const examples = failures.slice(0, 3).map(failure => `${failure.error} (record ${failure.rowNumber})`);
+      this.log(`- ${column}: ${failures.length} values, e.g. ${examples.join('; ')}`);
+    });
+  }
+
+  /**
+   * Reads the source document number of a record, for the reject report
    * @param {Object} mapping - The mapping configuration
-   * @returns {Promise<boolean>} True if sync was successful
+   * @param {Object|null} row - The built row, when there is one
+   * @param {Object|null} record - The raw NetSuite record
+   * @returns {*} The document number, or null when the mapping has none
    */
-  async syncMappingWithPagination(mapping) {
-    const { searchId, table, name } = mapping;
-    let pageIndex = 1;
-    let hasMorePages = true;
-    let totalRecordsProcessed = 0;
+  getDocumentNumber(mapping, row, record) {
+    const column = mapping.documentNumberColumn || 'document_number';
+    if (row && row[column] !== undefined && row[column] !== null && row[column] !== '') {
+      return row[column];
+    }
 
+    const spec = (mapping.columns || []).find(other => other.column === column);
+    const sources = spec && spec.source ? [].concat(spec.source) : [column];
+    const source = sources.find(field => record && record[field] !== undefined && record[field] !== null && record[field] !== '');
+    return source ? record[source] : null;
+  }
+
+  /**
+   * Adds the records of a page that were not written to the run's reject report
+   * @param {Object} mapping - The mapping configuration
+   * @param {Array} rejected - Records skipped for missing required columns or keys, from processRecordsForMapping
+   * @param {Array} quarantined - Rows that failed the mapping's validations, from RowValidator
+   */
+  reportRejects(mapping, rejected, quarantined) {
+    const { table } = mapping;
+    const keyColumns = parseConflictKey(mapping.conflictKey);
+
+    rejected.forEach(({ record, missing, emptyKeyFields }) => {
+      rejectReport.add(missing.map(column => ({
+        table,
+        documentNumber: this.getDocumentNumber(mapping, null, record),
+        keyValue: null,
+        rule: 'required',
+        column,
+        value: null,
+        message: emptyKeyFields.length > 0 ? `${column} is required (empty key fields: ${emptyKeyFields.join(', ')})` : `${column} is required`
+      })));
+    });
+
+    quarantined.forEach(({ row, record, failures }) => {
+      rejectReport.add(failures.map(failure => ({
+        table,
+        documentNumber: this.getDocumentNumber(mapping, row, record),
+        keyValue: getKeyString(row, keyColumns),
+        ...failure
+      })));
+    });
+  }
+
+  /**
+   * Logs the stages mappings will run in
+   * @param {Array<Array<string>>} stages - The tables of each stage, from buildStages
+   * @param {number} concurrency - Mappings synced at once
+   */
+  logExecutionPlan(stages, concurrency) {
+    this.log(`Execution plan (up to ${concurrency} mappings at once):`);
+    stages.forEach((tables, index) => {
+      const labels = tables.map(table => {
+        const dependencies = getDependencies(config.mappings.find(mapping => mapping.table === table));
+        return dependencies.length > 0 ? `${table} (after ${dependencies.join(', ')})` : table;
+      });
+      this.log(`- Stage ${index + 1}: ${labels.join(', ')}`);
+    });
+  }
+
+  /**
+   * Logs how each mapping of the run ended, and the critical path
+   * @param {Object} executionPlan - The execution plan of the sync stats
+   */
+  logExecutionSummary(executionPlan) {
+    const formatDuration = durationMs => `${(durationMs / 1000).toFixed(1)}s`;
+
+    this.log('Execution:');
+    executionPlan.stages.forEach((tables, index) => {
+      const labels = tables.map(table => {
+        const outcome = executionPlan.mappings.find(mapping => mapping.table === table);
+        return outcome.status === 'skipped'
+          ? `${table} skipped (${outcome.reason})`
+          : `${table} ${outcome.status} in ${formatDuration(outcome.durationMs)}`;
+      });
+      this.log(`- Stage ${index + 1}: ${labels.join(', ')}`);
+    });
+
+    const { tables, durationMs } = executionPlan.criticalPath;
+    if (tables.length > 0) {
+      this.log(`Critical path: ${tables.join(' -> ')} (${formatDuration(durationMs)})`);
+    }
+  }
+
+  /**
+   * Writes the run's reject report and logs how many records each rule rejected
+   */
+  writeRejectReport() {
+    this.syncStats.recordsQuarantined = this.syncStats.mappingResults
+      .reduce((total, result) => total + (result.recordsQuarantined || 0), 0);
+    if (this.syncStats.recordsQuarantined > 0) {
+      this.log(`Quarantined records: ${this.syncStats.recordsQuarantined}`);
+    }
+
+    const summary = rejectReport.summarize();
+    if (summary.length === 0) return;
+
+    this.log('Rejected records:');
+    summary.forEach(({ table, rule, count }) => this.log(`- ${table}: ${count} x ${rule}`));
     try {
-      // Get current record count before sync
-      const beforeCount = await supabaseClient.getRecordCount(table);
-      this.log(`Current record count in ${table}: ${beforeCount}`);
+      this.syncStats.rejectReport = rejectReport.write();
+      this.log(`Reject report: ${this.syncStats.rejectReport}`);
+    } catch (error) {
+      this.log(`WARNING: Failed to write the reject report: ${error.message}`);
+    }
+  }
 
-      while (hasMorePages) {
-        this.log(`Fetching page ${pageIndex} for ${name}...`);
-        const { data: pageData, hasMore } = await netsuiteClient.fetchSavedSearchPage(searchId, pageIndex);
-        
-        if (pageData && pageData.length > 0) {
-          const processedRecords = this.processRecordsForTable(table, pageData);
-          this.log(`Processing page ${pageIndex} with ${processedRecords.length} records for ${table}`);
-          
-          // Determine which conflict key to use (same logic as syncMapping)
-          let conflictKey = this.getTableIdColumn(table);
-          
-          // Use pkey as conflict key for these specific tables
-          if (table === 'sales_orders_detailed' || table === 'invoices_detailed' || table === 'item_fulfillments_detailed') {
-            conflictKey = "pkey";
-            
-            // Verify that pkey is present and properly formatted
-            if (processedRecords.length > 0) {
-              const samplePkey = processedRecords[0][conflictKey];
-              this.log(`Sample ${conflictKey}: ${samplePkey} (type: ${typeof samplePkey})`);
-              
-              if (samplePkey === null || samplePkey === undefined) {
-                this.log(`WARNING: ${conflictKey} is missing in processed records for ${table}`);
-              }
-            }
-          } else {
-            // Verify that the table ID is present and properly formatted
-            if (processedRecords.length > 0) {
-              const sampleId = processedRecords[0][conflictKey];
-              this.log(`Sample ${conflictKey}: ${sampleId} (type: ${typeof sampleId})`);
-              
-              if (sampleId === null || sampleId === undefined) {
-                this.log(`WARNING: ${conflictKey} is missing in processed records for ${table}`);
-              }
-            }
-          }
-          
-          this.log(`Upserting page ${pageIndex} with ${processedRecords.length} records to ${table} using "${conflictKey}" as conflict key...`);
-          const result = await supabaseClient.upsert(table, processedRecords, conflictKey);
-          
-          totalRecordsProcessed += processedRecords.length;
-          this.log(`Successfully synced page ${pageIndex} to Supabase (${processedRecords.length} records)`);
-        } else {
-          this.log(`No records found in page ${pageIndex} for ${name}`);
+  /**
+   * Logs the counts reported by a mapping's writer and records them in the sync stats
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} writeStats - The stats returned by the writer
+   */
+  recordWriteStats(mapping, writeStats) {
+    this.syncStats.mappingResults.push({ table: mapping.table, ...writeStats });
+    
+    Object.keys(writeStats)
+      .filter(key => key !== 'method')
+      .forEach(key => this.log(`- ${key}: ${writeStats[key]}`));
+  }
+
+  /**
+   * Resolves the RESTlet filters for a mapping run from its dateWindow and stored watermark
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} options - Run options
+   * @param {boolean} [options.fullRefresh=false] - Ignore the watermark and fetch the whole date window
+   * @returns {Promise<{filters: Object, incremental: boolean}>} The filters and whether the run is incremental
+   */
+  async resolveSearchContext(mapping, options = {}) {
+    const { table } = mapping;
+    let watermark = null;
+
+    if (mapping.incremental && options.dryRun) {
+      this.log(`Dry run, not reading the watermark for ${table}`);
+    } else if (mapping.incremental && !options.fullRefresh) {
+      try {
+        watermark = await watermarkStore.get(mapping);
+      } catch (error) {
+        this.log(`WARNING: ${error.message}. Falling back to a full fetch for ${table}`);
+      }
+
+      if (!watermark) {
+        this.log(`No watermark stored for ${table}, running a full fetch`);
+      }
+    } else if (mapping.incremental) {
+      this.log(`Full refresh requested, ignoring the watermark for ${table}`);
+    }
+
+    const filters = buildSearchFilters(mapping, watermark);
+    if (Object.keys(filters).length > 0) {
+      this.log(`Search filters for ${table}: ${JSON.stringify(filters)}`);
+    }
+
+    return { filters, incremental: Boolean(watermark) };
+  }
+
+  /**
+   * Reads the destination table's columns for the schema drift check
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} [options] - Run options
+   * @returns {Promise<Object|null>} The table definition, or null when the check only covers NetSuite fields
+   */
+  async loadTableDefinition(mapping, options = {}) {
+    const { table } = mapping;
+    const policy = mapping.schemaDrift || 'warn';
+
+    if (options.dryRun) {
+      this.log(`Dry run: checking ${table} against the NetSuite fields only`);
+      return null;
+    }
+
+    let tableDefinition;
+    try {
+      tableDefinition = await supabaseClient.getTableDefinition(table);
+    } catch (error) {
+      if (policy === 'fail') throw error;
+      this.log(`WARNING: ${error.message}. Checking ${table} against the NetSuite fields only`);
+      return null;
+    }
+
+    if (!tableDefinition) {
+      throw new Error(`Table ${table} is missing in the Supabase schema`);
+    }
+    return tableDefinition;
+  }
+
+  /**
+   * Compares the first page's rows with the destination table and the NetSuite fields,
+   * and applies the mapping's schemaDrift policy
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object|null} tableDefinition - The table definition from loadTableDefinition
+   * @param {Array} rows - Processed rows of the first page
+   * @param {Array} rawRecords - Raw NetSuite records of the first page
+   * @returns {Array<string>} Columns to drop from every row before writing
+   */
+  checkSchemaDrift(mapping, tableDefinition, rows, rawRecords) {
+    const { table } = mapping;
+    const policy = mapping.schemaDrift || 'warn';
+    const { issues, extraColumns } = detectSchemaDrift(mapping, tableDefinition, rows, rawRecords);
+    const blocking = issues.filter(issue => issue.blocking);
+
+    issues
+      .filter(issue => !issue.blocking)
+      .forEach(issue => this.log(`Schema note for ${table} (missing in ${issue.side}): ${issue.message}`));
+
+    if (blocking.length === 0) {
+      return [];
+    }
+
+    // Extra columns can be dropped; anything else blocking is only reported under "ignore"
+    const dropped = policy === 'ignore' && !dropsKeyColumn(mapping, extraColumns) ? extraColumns : [];
+    blocking.forEach(issue => {
+      const action = dropped.includes(issue.column) && issue.side === 'supabase' ? ' - ignoring the column' : '';
+      this.log(`${policy === 'fail' ? 'ERROR' : 'WARNING'}: Schema drift in ${table} (missing in ${issue.side}): ${issue.message}${action}`);
+    });
+
+    if (policy === 'fail') {
+      const summary = blocking.map(issue => `${issue.column} (missing in ${issue.side})`).join(', ');
+      throw new Error(`Schema drift in ${table}: ${summary}`);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Stores the watermark of a mapping after a successful run.
+   * A failure here only costs the next run a wider fetch, so it is logged rather than thrown.
+   * @param {Object} mapping - The mapping configuration
+   * @param {string} runStartedAt - ISO timestamp taken before the run fetched anything
+   * @returns {Promise<void>}
+   */
+  async saveWatermark(mapping, runStartedAt) {
+    try {
+      await watermarkStore.set(mapping, runStartedAt);
+      this.log(`Stored watermark ${runStartedAt} for ${mapping.table}`);
+    } catch (error) {
+      this.log(`WARNING: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the checkpoint a resumed mapping run continues from
+   * @param {Object} mapping - The mapping configuration
+   * @returns {Promise<Object|null>} The checkpoint, or null to start from the first page
+   */
+  async loadCheckpoint(mapping) {
+    const { table, method } = mapping;
+
+    if (!RESUMABLE_METHODS.includes(method)) {
+      this.log(`Resume is not supported for "${method}" mappings, starting ${table} from page 1`);
+      return null;
+    }
+
+    let checkpoint = null;
+    try {
+      checkpoint = await checkpointStore.get(mapping);
+    } catch (error) {
+      this.log(`WARNING: ${error.message}. Starting ${table} from page 1`);
+      return null;
+    }
+
+    if (!checkpoint) {
+      this.log(`No checkpoint stored for ${table}, starting from page 1`);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Opens the pages of a mapping run. When resuming, the last page written by the
+   * interrupted run is fetched again with that run's filters: if the search still reports
+   * the same page count and that page still holds the same records, paging continues after
+   * it, otherwise the checkpoint is stale and the run starts from the first page with the
+   * filters resolved for this run.
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} filters - The RESTlet filters resolved for this run
+   * @param {Object|null} checkpoint - The checkpoint from loadCheckpoint
+   * @returns {Promise<{pages: AsyncGenerator, resumedPages: number, totalPages: number|null, checkpoint: Object|null}>}
+   *   The pages still to sync, how many pages the interrupted run already wrote, the page count of a resumed
+   *   search (null otherwise, since it is only known once the first page arrives), and the checkpoint the run
+   *   resumes from (null when it starts from the first page)
+   */
+  async openPages(mapping, filters, checkpoint) {
+    const { table } = mapping;
+
+    if (checkpoint) {
+      const pages = netsuiteClient.iterateMappingPages(mapping, checkpoint.filters, checkpoint.pageIndex);
+      const checkpointLabel = `page ${checkpoint.pageIndex + 1} of ${checkpoint.totalPages}`;
+
+      // A checkpoint past the search's last page is as stale as one whose page changed
+      let staleReason = null;
+      try {
+        const { value: page } = await pages.next();
+        if (!page) {
+          staleReason = `the search no longer has page ${checkpoint.pageIndex + 1}`;
+        } else if (page.totalPages !== checkpoint.totalPages) {
+          staleReason = `the search now has ${page.totalPages} pages instead of ${checkpoint.totalPages}`;
+        } else if (checkpointStore.fingerprint(page.data) !== checkpoint.fingerprint) {
+          staleReason = `the results of ${checkpointLabel} changed`;
         }
+      } catch (error) {
+        staleReason = `${checkpointLabel} could not be fetched again (${error.message})`;
+      }
 
-        hasMorePages = hasMore;
-        pageIndex++;
+      if (!staleReason) {
+        this.log(`Resuming ${table} after ${checkpointLabel} (run ${checkpoint.runId})`);
+        return { pages, resumedPages: checkpoint.pageIndex + 1, totalPages: checkpoint.totalPages, checkpoint };
       }
 
-      // Get final record count
-      const afterCount = await supabaseClient.getRecordCount(table);
-      this.log(`Completed paginated sync for ${name}:`);
-      this.log(`- Total records processed: ${totalRecordsProcessed}`);
-      this.log(`- Records in table before: ${beforeCount}`);
-      this.log(`- Records in table after: ${afterCount}`);
+      await pages.return();
+      this.log(`WARNING: Discarding the checkpoint for ${table}, ${staleReason}. Starting from page 1`);
+      await this.clearCheckpoint(mapping);
+    }
 
-      return true;
+    return { pages: netsuiteClient.iterateMappingPages(mapping, filters), resumedPages: 0, totalPages: null, checkpoint: null };
+  }
+
+  /**
+   * Stores the checkpoint of a mapping after a page was written.
+   * A failure here only costs a resumed run the pages since the last stored checkpoint.
+   * @param {Object} mapping - The mapping configuration
+   * @param {Object} checkpoint - The checkpoint, see CheckpointStore.set
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(mapping, checkpoint) {
+    try {
+      await checkpointStore.set(mapping, checkpoint);
     } catch (error) {
-      this.logError(`Failed to sync ${name} to ${table} during pagination`, error);
-      return false;
+      this.log(`WARNING: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes the checkpoint of a mapping once it is finished or stale
+   * @param {Object} mapping - The mapping configuration
+   * @returns {Promise<void>}
+   */
+  async clearCheckpoint(mapping) {
+    try {
+      await checkpointStore.clear(mapping);
+    } catch (error) {
+      this.log(`WARNING: ${error.message}`);
     }
   }
 
   /**
-   * Syncs a single mapping from NetSuite to Supabase
+   * Describes whether a mapping run fetched and built every record of the search
+   * @param {number|null} expectedPages - The page count the search reported, or null when nothing was fetched
+   * @param {number} pagesFetched - The number of pages read
+   * @param {number} recordsSkipped - Records skipped for missing required columns or keys
+   * @param {number} [resumedPages=0] - Pages written by the interrupted run this run resumed
+   * @returns {{complete: boolean, reason: string|null}} Whether the fetch was complete, and why not
+   */
+  describeFetch(expectedPages, pagesFetched, recordsSkipped, resumedPages = 0) {
+    if (expectedPages === null) {
+      return { complete: false, reason: 'no pages were fetched' };
+    }
+    if (pagesFetched < expectedPages) {
+      return { complete: false, reason: `${pagesFetched} of ${expectedPages} pages were fetched` };
+    }
+    // The writer never saw the rows of the pages written before the run was resumed
+    if (resumedPages > 0) {
+      return { complete: false, reason: `the run resumed after page ${resumedPages}` };
+    }
+    if (recordsSkipped > 0) {
+      return { complete: false, reason: `${recordsSkipped} records were skipped for missing required columns or keys` };
+    }
+    return { complete: true, reason: null };
+  }
+
+  /**
+   * Syncs a single mapping from NetSuite to Supabase, one page at a time.
+   * Each page is transformed and written before the next one is fetched, so
+   * memory use is bounded by the RESTlet page size.
    * @param {Object} mapping - The mapping configuration
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.fullRefresh=false] - Ignore the watermark and fetch the whole date window
+   * @param {boolean} [options.dryRun=false] - Build rows without reading from or writing to Supabase
+   * @param {string} [options.runId] - The id of the sync run, stored with rows Postgres rejects
+   * @param {boolean} [options.resume=false] - Continue from the page checkpoint of an interrupted run
    * @returns {Promise<boolean>} True if sync was successful
    */
-  async syncMapping(mapping) {
-    const { searchId, table, name, type } = mapping;
+  async syncMapping(mapping, options = {}) {
+    const { searchId, table, name, type, method, conflictKey } = mapping;
     
     try {
       this.log(`Starting sync for ${name} (${type}) to table ${table}`);
       
-      // Use paginated sync for large tables
-      if (requiresPagination(table)) {
-        return await this.syncMappingWithPagination(mapping);
+      // Taken before fetching so rows changed while the run is in progress are picked up next time
+      let runStartedAt = new Date().toISOString();
+      const searchContext = await this.resolveSearchContext(mapping, options);
+      const runId = options.runId || this.syncStats.runId || crypto.randomUUID();
+
+      // Checkpoints are kept for methods that can resume; a dry run writes nothing to resume
+      const checkpointed = !options.dryRun && RESUMABLE_METHODS.includes(method);
+      const storedCheckpoint = options.resume && !options.dryRun ? await this.loadCheckpoint(mapping) : null;
+      if (storedCheckpoint && Object.keys(storedCheckpoint.filters).length > 0) {
+        this.log(`Search filters of the interrupted run for ${table}: ${JSON.stringify(storedCheckpoint.filters)}`);
       }
 
       // Get current record count before sync
-      const beforeCount = await supabaseClient.getRecordCount(table);
-      this.log(`Current record count in ${table}: ${beforeCount}`);
+      const beforeCount = options.dryRun ? null : await supabaseClient.getRecordCount(table);
+      if (options.dryRun) {
+        this.log(`Dry run: records for ${table} will be built but not written`);
+      } else {
+        this.log(`Current record count in ${table}: ${beforeCount}`);
+      }
 
-      // Fetch data from NetSuite
-      this.log(`Fetching data from NetSuite Saved Search ${searchId}...`);
-      const rawRecords = await netsuiteClient.fetchAllSavedSearchPages(searchId);
-      this.log(`Retrieved ${rawRecords.length} records from NetSuite`);
+      // Read before the writer starts, so a drifted table fails before anything is written
+      const tableDefinition = await this.loadTableDefinition(mapping, options);
 
-      if (rawRecords.length === 0) {
-        this.log(`No records found for ${name}, skipping upsert`);
-        return true;
+      // Fetch data from NetSuite page by page
+      this.log(mapping.source === 'suiteql'
+        ? 'Fetching data from NetSuite with SuiteQL...'
+        : `Fetching data from NetSuite Saved Search ${searchId}...`);
+      const { pages, resumedPages, totalPages, checkpoint } = await this.openPages(mapping, searchContext.filters, storedCheckpoint);
+      if (checkpoint) {
+        // Resume the interrupted run's search window, and store its watermark once finished
+        runStartedAt = checkpoint.runStartedAt;
+        searchContext.filters = checkpoint.filters;
       }
+      // The filters decide what the writer may conclude from the rows it sees
+      searchContext.incremental = Boolean(searchContext.filters.lastModifiedFrom);
 
-      // Log raw record field names to help debugging
-      if (rawRecords.length > 0) {
-        this.log(`Field names in raw records: ${Object.keys(rawRecords[0]).join(', ')}`);
-      }
+      const writer = createWriter(supabaseClient, mapping, conflictKey, searchContext, {
+        dryRun: options.dryRun,
+        runId,
+        deadLetterStore
+      });
+      await writer.begin();
 
-      // Process records for this table
-      const processedRecords = this.processRecordsForTable(table, rawRecords);
-      this.log(`Processed ${processedRecords.length} records for ${table}`);
+      let totalRecordsFetched = 0;
+      let totalRecordsSkipped = 0;
+      let totalCoercionErrors = 0;
+      let pagesFetched = resumedPages;
+      // A run resumed after the last page fetches nothing more, but the search was complete
+      let expectedPages = totalPages;
+      let loggedSample = false;
+      const duplicateFilter = new DuplicateKeyFilter(table, parseConflictKey(conflictKey), mapping.duplicateKeys);
+      const validator = new RowValidator(mapping.validations);
+      let droppedColumns = null;
 
-      // Log sample of processed records for verification
-      if (processedRecords.length > 0) {
-        this.log(`Sample processed record: ${JSON.stringify(processedRecords[0], null, 2)}`);
-        
-        // Determine which conflict key to use
-        let conflictKey = this.getTableIdColumn(table);
+      // Called once a page is fully handled, so a resumed run continues after it
+      const commitPage = page => (checkpointed ? this.saveCheckpoint(mapping, {
+        runId: checkpoint ? checkpoint.runId : runId,
+        runStartedAt,
+        filters: searchContext.filters,
+        pageIndex: page.pageIndex,
+        totalPages: page.totalPages,
+        fingerprint: checkpointStore.fingerprint(page.data)
+      }) : Promise.resolve());
+
+      for await (const page of pages) {
+        const pageLabel = `${page.pageIndex + 1} of ${page.totalPages}`;
+        pagesFetched++;
+        if (expectedPages === null) {
+          expectedPages = page.totalPages;
+        }
         
-        // Use pkey as conflict key for these specific tables
-        if (table === 'sales_orders_detailed' || table === 'invoices_detailed' || table === 'item_fulfillments_detailed') {
-          conflictKey = "pkey";
-          
-          // Verify that pkey is present and properly formatted
-          const samplePkey = processedRecords[0][conflictKey];
-          this.log(`Sample ${conflictKey}: ${samplePkey} (type: ${typeof samplePkey})`);
-          
-          if (samplePkey === null || samplePkey === undefined) {
-            this.log(`WARNING: ${conflictKey} is missing in processed records for ${table}`);
-          }
-        } else {
-          // Verify that the table ID is present and properly formatted
-          const sampleId = processedRecords[0][conflictKey];
-          this.log(`Sample ${conflictKey}: ${sampleId} (type: ${typeof sampleId})`);
-          
-          if (sampleId === null || sampleId === undefined) {
-            this.log(`WARNING: ${conflictKey} is missing in processed records for ${table}`);
-          }
+        if (page.data.length === 0) {
+          this.log(`No records found in page ${pageLabel} for ${name}`);
+          await commitPage(page);
+          continue;
         }
 
-        // Upsert data to Supabase using the appropriate conflict key
-        this.log(`Upserting ${processedRecords.length} records to ${table} using "${conflictKey}" as conflict key...`);
-        const result = await supabaseClient.upsert(table, processedRecords, conflictKey);
-        
-        // Get new record count
-        const afterCount = await supabaseClient.getRecordCount(table);
-        
-        this.log(`Sync completed for ${name}:`);
-        this.log(`- Records processed: ${result.recordsProcessed}`);
-        this.log(`- Records in table before: ${beforeCount}`);
-        this.log(`- Records in table after: ${afterCount}`);
-      } else {
-        this.log(`No processed records for ${table}, skipping upsert`);
+        // Process records for this table
+        let { rows: processedRecords, sourceRecords, rejected, coercionErrors } = this.processRecordsForMapping(mapping, page.data, totalRecordsFetched);
+        totalRecordsFetched += page.data.length;
+        totalRecordsSkipped += rejected.length;
+        totalCoercionErrors += coercionErrors.length;
+        this.log(`Processed page ${pageLabel} with ${processedRecords.length} records for ${table}`);
+
+        // Rows failing a validation rule are quarantined instead of written
+        const validated = validator.filter(processedRecords, sourceRecords);
+        if (validated.quarantined.length > 0) {
+          const failedRules = [...new Set(validated.quarantined.flatMap(({ failures }) => failures.map(failure => failure.message)))];
+          this.log(`WARNING: Quarantined ${validated.quarantined.length} records of page ${pageLabel} for ${table} failing: ${failedRules.join('; ')}`);
+          await writer.quarantine(validated.quarantined);
+        }
+        ({ rows: processedRecords, sourceRecords } = validated);
+        this.reportRejects(mapping, rejected, validated.quarantined);
+
+        if (processedRecords.length === 0) {
+          this.log(`No processed records in page ${pageLabel} for ${table}, skipping write`);
+          await commitPage(page);
+          continue;
+        }
+
+        // The first page decides: later pages have the same columns
+        if (droppedColumns === null) {
+          droppedColumns = this.checkSchemaDrift(mapping, tableDefinition, processedRecords, page.data);
+        }
+        processedRecords = dropColumns(processedRecords, droppedColumns);
+
+        // Postgres rejects an upsert that touches the same row twice
+        const deduped = duplicateFilter.filter(processedRecords, sourceRecords);
+        if (deduped.duplicates > 0) {
+          this.log(`WARNING: Page ${pageLabel} for ${table} repeats ${deduped.duplicates} conflict keys (${duplicateFilter.policy}), writing ${deduped.rows.length} of ${processedRecords.length} records`);
+        }
+        ({ rows: processedRecords, sourceRecords } = deduped);
+
+        // Log sample of processed records for verification
+        if (!loggedSample) {
+          this.log(`Field names in raw records: ${Object.keys(page.data[0]).join(', ')}`);
+          this.log(`Sample processed record: ${JSON.stringify(processedRecords[0], null, 2)}`);
+          loggedSample = true;
+        }
+        this.logSampleConflictKey(table, processedRecords, conflictKey);
+
+        // Write data to Supabase using the mapping's method and the appropriate conflict key
+        this.log(`Writing page ${pageLabel} with ${processedRecords.length} records to ${table} using "${method}" with "${conflictKey}" as conflict key...`);
+        await writer.write(processedRecords, sourceRecords);
+        this.log(`Successfully synced page ${pageLabel} to Supabase (${processedRecords.length} records)`);
+        await commitPage(page);
+      }
+
+      // Writers that act on rows missing from the run need to know whether the run saw everything
+      const writeStats = await writer.finish(this.describeFetch(expectedPages, pagesFetched, totalRecordsSkipped, resumedPages));
+      
+      this.log(`Sync completed for ${name} (${method}${options.dryRun ? ', dry run' : ''}):`);
+      this.log(`- Records fetched: ${totalRecordsFetched}`);
+      if (duplicateFilter.duplicates > 0) {
+        this.log(`- Duplicate conflict keys (fix the saved search): ${duplicateFilter.sampleKeys.join(', ')}${duplicateFilter.sampleTruncated ? ', ...' : ''}`);
+        writeStats.duplicateKeys = duplicateFilter.duplicates;
       }
+      if (totalRecordsSkipped > 0) {
+        writeStats.recordsIncomplete = totalRecordsSkipped;
+      }
+      if (totalCoercionErrors > 0) {
+        writeStats.coercionErrors = totalCoercionErrors;
+      }
+      this.recordWriteStats(mapping, writeStats);
       
+      if (options.dryRun) {
+        return true;
+      }
+      
+      // Get new record count
+      const afterCount = await supabaseClient.getRecordCount(table);
+      this.log(`- Records in table before: ${beforeCount}`);
+      this.log(`- Records in table after: ${afterCount}`);
+      
+      await this.saveWatermark(mapping, runStartedAt);
+      if (checkpointed) {
+        await this.clearCheckpoint(mapping);
+      }
       return true;
     } catch (error) {
       this.logError(`Failed to sync ${name} to ${table}`, error);
@@ -531,38 +797,80 @@ class SyncManager {
 
   /**
    * Runs the complete sync process for all mappings
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.fullRefresh=false] - Ignore stored watermarks and fetch each mapping's whole date window
+   * @param {string} [options.recordingMode] - "record" to save raw RESTlet pages, "replay" to read them instead of calling NetSuite
+   * @param {boolean} [options.dryRun=false] - Build rows without reading from or writing to Supabase
+   * @param {number} [options.mappingConcurrency] - Mappings synced at once (defaults to SYNC_MAPPING_CONCURRENCY)
+   * @param {boolean} [options.resume=false] - Continue each mapping from the page checkpoint of an interrupted run
    * @returns {Promise<Object>} Sync statistics
    */
-  async runSync() {
+  async runSync(options = {}) {
+    // The manager is a singleton: scheduled runs and warm Lambda invocations reuse it
+    this.syncStats = createSyncStats();
+    this.syncStats.runId = crypto.randomUUID();
     this.syncStats.startTime = new Date().toISOString();
     this.syncStats.totalMappings = config.mappings.length;
+    rejectReport.reset(this.syncStats.runId);
     
-    this.log('Starting NetSuite to Supabase sync process');
+    this.log(`Starting NetSuite to Supabase sync process (run ${this.syncStats.runId})`);
     this.log(`Total mappings to process: ${this.syncStats.totalMappings}`);
+    if (options.fullRefresh) {
+      this.log('Full refresh requested: incremental mappings will ignore their watermarks');
+    }
+    if (options.recordingMode) {
+      responseRecorder.configure({ mode: options.recordingMode });
+    }
+    if (responseRecorder.mode) {
+      this.log(`${responseRecorder.isRecording() ? 'Recording' : 'Replaying'} NetSuite responses in ${responseRecorder.dir}`);
+    }
+    if (options.dryRun) {
+      this.log('Dry run: nothing will be written to Supabase');
+    }
+    if (options.resume) {
+      this.log('Resume requested: mappings continue after the last page their interrupted run wrote');
+    }
 
     // Validate connections first
-    if (!await this.validateConnections()) {
+    if (!await this.validateConnections(options)) {
       this.log('Connection validation failed. Aborting sync.');
       return this.syncStats;
     }
 
-    // Process each mapping
-    for (const mapping of config.mappings) {
-      const success = await this.syncMapping(mapping);
+    // Independent mappings run side by side; dependents wait for their prerequisites
+    const concurrency = options.mappingConcurrency || config.mappingConcurrency || 1;
+    const stages = buildStages(config.mappings);
+    this.logExecutionPlan(stages, concurrency);
+
+    const outcomes = await runPlan(config.mappings, concurrency, async mapping => {
+      const success = await this.syncMapping(mapping, options);
       if (success) {
         this.syncStats.successfulSyncs++;
       } else {
         this.syncStats.failedSyncs++;
       }
-    }
+      return success;
+    }, (mapping, reason) => {
+      this.syncStats.skippedSyncs++;
+      this.log(`Skipping ${mapping.table}: ${reason}`);
+    });
 
     this.syncStats.endTime = new Date().toISOString();
+    this.syncStats.executionPlan = {
+      concurrency,
+      stages,
+      mappings: config.mappings.map(mapping => ({ table: mapping.table, dependsOn: getDependencies(mapping), ...outcomes.get(mapping.table) })),
+      criticalPath: findCriticalPath(config.mappings, outcomes)
+    };
     
     // Log final statistics
     this.log('\nSync Process Completed:');
     this.log(`Total mappings: ${this.syncStats.totalMappings}`);
     this.log(`Successful syncs: ${this.syncStats.successfulSyncs}`);
     this.log(`Failed syncs: ${this.syncStats.failedSyncs}`);
+    this.log(`Skipped syncs: ${this.syncStats.skippedSyncs}`);
+    this.logExecutionSummary(this.syncStats.executionPlan);
+    this.writeRejectReport();
     
     if (this.syncStats.errors.length > 0) {
       this.log('\nErrors encountered:');
@@ -573,29 +881,6 @@ class SyncManager {
 
     return this.syncStats;
   }
-
-  /**
-   * Gets the primary ID column name for a specific table
-   * @param {string} table - The table name
-   * @returns {string} The ID column name for the table
-   */
-  getTableIdColumn(table) {
-    const tableIdMap = {
-      'cash_sales': 'cash_sale_internal_id',
-      'credit_memos': 'credit_memo_internal_id', 
-      'customers': 'customer_internal_id',
-      'invoices': 'invoice_internal_id',
-      'invoices_detailed': 'invoice_internal_id',
-      'item_fulfillments': 'item_fulfillment_internal_id',
-      'item_fulfillments_detailed': 'item_fulfillment_internal_id',
-      'partners': 'partner_internal_id',
-      'sales_orders': 'sales_order_internal_id',
-      'sales_orders_detailed': 'sales_order_internal_id',
-      'forecast': 'pkey' // Forecast uses pkey as primary key
-    };
-    
-    return tableIdMap[table] || 'id'; // Default fallback
-  }
 }
 
 // Export both the class and a singleton instance
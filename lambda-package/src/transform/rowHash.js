@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Content hashes for change detection.
+ *
+ * A row's hash covers its mapped columns only: the timestamp, soft-delete and hash
+ * columns change on their own and would make every row look changed. Columns are
+ * hashed in name order, so the hash does not depend on the order of the column specs.
+ */
+
+/**
+ * Computes the content hash of a row
+ * @param {Object} row - The processed row
+ * @param {Array<string>} [excludedColumns] - Columns left out of the hash
+ * @returns {string} The SHA-256 hash, hex encoded
+ */
+function computeRowHash(row, excludedColumns = []) {
+  const entries = Object.keys(row)
+    .filter(column => !excludedColumns.includes(column))
+    .sort()
+    .map(column => [column, row[column] === undefined ? null : row[column]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+module.exports = {
+  computeRowHash
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { isEmptyValue } = require('./coerce');
+
+/**
+ * Keys built from the natural-key fields of a record, for searches whose rows have no
+ * single ID (transaction lines). A column spec declares them with:
+ *   "key": ["invoice_internal_id", "line_id"]  - the raw fields, in order
+ *   "keyFormat": "composite" | "hash"
+ *     composite - the values joined with "_", e.g. "1234_5" (default)
+ *     hash      - the SHA-256 of the values, for fields that are long or contain "_"
+ *
+ * The same record always gets the same key, whatever page or run it arrives in. A record
+ * with an empty key field gets no key and is rejected, since any positional stand-in
+ * would collide with the rows of other pages and runs.
+ *
+ * A key column may also name a "source": a key the search supplies itself (the RESTlet's
+ * "pkey") is used when present, and the natural-key fields only when it is empty, so
+ * rows already written under the supplied key keep it.
+ */
+
+const KEY_FORMATS = ['composite', 'hash'];
+
+// A purely numeric ID, optionally with thousands separators ("1234", "1,234")
+const NUMERIC_ID_PATTERN = /^(\d+|\d{1,3}(,\d{3})+)$/;
+
+/**
+ * Normalizes one key field: numeric IDs are written without thousands separators or
+ * padding, other values are only trimmed, so "INV-5" and "SOL-5" stay different keys
+ * @param {*} value - The raw value
+ * @returns {string|null} The key part, or null when the value is empty
+ */
+function normalizeKeyPart(value) {
+  if (isEmptyValue(value)) return null;
+
+  const text = String(value).trim();
+  if (!NUMERIC_ID_PATTERN.test(text)) return text;
+  return text.replace(/,/g, '').replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Lists the raw fields a key column is built from
+ * @param {Object} spec - Column spec with a key or a template
+ * @returns {Array<string>} The fields, empty for other columns
+ */
+function getKeyFields(spec) {
+  if (Array.isArray(spec.key)) return spec.key;
+  if (spec.template) return [...spec.template.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+  return [];
+}
+
+/**
+ * Builds the key of a record from its natural-key fields
+ * @param {Object} record - Raw NetSuite record
+ * @param {Array<string>} fields - The key fields
+ * @param {string} [format='composite'] - One of KEY_FORMATS
+ * @returns {{value: string|null, emptyFields: Array<string>}} The key, or null and the fields that were empty
+ */
+function buildSyntheticKey(record, fields, format = 'composite') {
+  const parts = fields.map(field => normalizeKeyPart(record[field]));
+  const emptyFields = fields.filter((field, index) => parts[index] === null);
+
+  if (emptyFields.length > 0) {
+    return { value: null, emptyFields };
+  }
+
+  if (format === 'hash') {
+    return { value: crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex'), emptyFields };
+  }
+  return { value: parts.join('_'), emptyFields };
+}
+
+/**
+ * Fills a "{field}_{other}" key template from the raw record
+ * @param {string} template - The key template
+ * @param {Object} record - Raw NetSuite record
+ * @returns {{value: string|null, emptyFields: Array<string>}} The filled template, or null and the fields that were empty
+ */
+function fillKeyTemplate(template, record) {
+  const emptyFields = [];
+  const value = template.replace(/\{([^}]+)\}/g, (match, field) => {
+    const part = normalizeKeyPart(record[field]);
+    if (part === null) emptyFields.push(field);
+    return part;
+  });
+
+  return { value: emptyFields.length > 0 ? null : value, emptyFields };
+}
+
+module.exports = {
+  KEY_FORMATS,
+  buildSyntheticKey,
+  fillKeyTemplate,
+  getKeyFields,
+  normalizeKeyPart
+};
@@ -0,0 +1,143 @@
+/**
+ * Checks built rows against a mapping's "validations" rules before they are written.
+ *
+ * Each rule names a destination column and one check:
+ *   {"column": "date", "rule": "required"}
+ *   {"column": "document_number", "rule": "pattern", "pattern": "^INV\\d+$"}
+ *   {"column": "quantity", "rule": "range", "min": 0, "max": 10000}
+ *   {"column": "status", "rule": "oneOf", "values": ["Open", "Paid In Full"]}
+ *   {"column": "ship_date_end", "rule": "compare", "operator": ">=", "otherColumn": "ship_date"}
+ *
+ * Only "required" fails on an empty value; the other rules skip empty values, so a rule
+ * on an optional column does not make it required. Rows failing any rule are taken out
+ * of the page and handed back with every rule they failed, to be quarantined.
+ */
+
+const { isEmptyValue } = require('./coerce');
+
+const VALIDATION_RULES = ['required', 'pattern', 'range', 'oneOf', 'compare'];
+
+const COMPARE_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Describes what a rule expects, for reports
+ * @param {Object} rule - The validation rule
+ * @returns {string} The description, e.g. "quantity >= 0"
+ */
+function describeRule(rule) {
+  switch (rule.rule) {
+    case 'required':
+      return `${rule.column} is required`;
+    case 'pattern':
+      return `${rule.column} matches /${rule.pattern}/`;
+    case 'range':
+      return [
+        rule.min !== undefined ? `${rule.column} >= ${rule.min}` : null,
+        rule.max !== undefined ? `${rule.column} <= ${rule.max}` : null
+      ].filter(Boolean).join(' and ');
+    case 'oneOf':
+      return `${rule.column} is one of ${rule.values.join(', ')}`;
+    case 'compare':
+      return `${rule.column} ${rule.operator} ${rule.otherColumn}`;
+    default:
+      return rule.rule;
+  }
+}
+
+class RowValidator {
+  /**
+   * @param {Array<Object>} [rules] - The mapping's validation rules
+   */
+  constructor(rules = []) {
+    this.rules = rules.map(rule => ({
+      ...rule,
+      description: describeRule(rule),
+      regex: rule.rule === 'pattern' ? new RegExp(rule.pattern) : null
+    }));
+  }
+
+  /**
+   * Checks one row against a rule
+   * @param {Object} row - The built row
+   * @param {Object} rule - The compiled rule
+   * @returns {boolean} Whether the row passes
+   */
+  passes(row, rule) {
+    const value = row[rule.column];
+    if (rule.rule === 'required') return !isEmptyValue(value);
+    if (isEmptyValue(value)) return true;
+
+    switch (rule.rule) {
+      case 'pattern':
+        return rule.regex.test(String(value));
+      case 'range':
+        return typeof value === 'number'
+          && (rule.min === undefined || value >= rule.min)
+          && (rule.max === undefined || value <= rule.max);
+      case 'oneOf':
+        return rule.values.includes(value);
+      case 'compare': {
+        const other = row[rule.otherColumn];
+        // Dates are ISO strings, so they compare in order as text
+        return isEmptyValue(other) || COMPARE_OPERATORS[rule.operator](value, other);
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Lists the rules a row fails
+   * @param {Object} row - The built row
+   * @returns {Array<{rule: string, column: string, value: *, message: string}>} The failures, empty when the row is valid
+   */
+  check(row) {
+    return this.rules
+      .filter(rule => !this.passes(row, rule))
+      .map(rule => ({
+        rule: rule.rule,
+        column: rule.column,
+        value: row[rule.column] === undefined ? null : row[rule.column],
+        message: rule.description
+      }));
+  }
+
+  /**
+   * Takes the rows of one page that fail a rule out of it
+   * @param {Array} rows - Built rows
+   * @param {Array} [sourceRecords] - Raw NetSuite records, aligned with the rows
+   * @returns {{rows: Array, sourceRecords: Array, quarantined: Array<{row: Object, record: Object, failures: Array}>}}
+   *   The valid rows and their raw records, and the failing rows with the rules they failed
+   */
+  filter(rows, sourceRecords = []) {
+    if (this.rules.length === 0) {
+      return { rows, sourceRecords, quarantined: [] };
+    }
+
+    const result = { rows: [], sourceRecords: [], quarantined: [] };
+    rows.forEach((row, index) => {
+      const failures = this.check(row);
+      if (failures.length > 0) {
+        result.quarantined.push({ row, record: sourceRecords[index] || null, failures });
+      } else {
+        result.rows.push(row);
+        result.sourceRecords.push(sourceRecords[index]);
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = {
+  COMPARE_OPERATORS,
+  VALIDATION_RULES,
+  RowValidator
+};
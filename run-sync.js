@@ -3,7 +3,12 @@ const syncManager = require('./src/sync');
 async function main() {
   try {
     console.log("Starting NetSuite → Supabase sync...");
-    const syncStats = await syncManager.runSync();
+    const syncStats = await syncManager.runSync({
+      fullRefresh: process.argv.includes('--full-refresh'),
+      recordingMode: process.argv.includes('--replay') ? 'replay' : process.argv.includes('--record') ? 'record' : undefined,
+      dryRun: process.argv.includes('--dry-run'),
+      resume: process.argv.includes('--resume')
+    });
     console.log("Sync completed:", syncStats);
   } catch (error) {
     console.error("Sync failed:", error);
@@ -1,13 +1,28 @@
 const syncManager = require('./sync');
 const config = require('./config');
 
+/**
+ * Reads the recording mode from the --record / --replay flags
+ * @returns {string|undefined} The recording mode, or undefined to keep NS_RECORDING_MODE
+ */
+function getRecordingMode() {
+  if (process.argv.includes('--replay')) return 'replay';
+  if (process.argv.includes('--record')) return 'record';
+  return undefined;
+}
+
 /**
  * Runs the sync process and handles any uncaught errors
  * @returns {Promise<void>}
  */
 async function runSyncProcess() {
   try {
-    await syncManager.runSync();
+    await syncManager.runSync({
+      fullRefresh: process.argv.includes('--full-refresh'),
+      recordingMode: getRecordingMode(),
+      dryRun: process.argv.includes('--dry-run'),
+      resume: process.argv.includes('--resume')
+    });
     
     // If run with --once flag, exit after completion
     if (process.argv.includes('--once')) {
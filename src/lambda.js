@@ -9,8 +9,12 @@ exports.handler = async (event) => {
   try {
     console.log("Starting NetSuite → Supabase sync...");
     
-    // Call the main sync logic
-    const syncStats = await syncManager.runSync();
+    // Call the main sync logic; pass {"fullRefresh": true} in the event to ignore watermarks,
+    // or {"resume": true} to continue interrupted mappings from their page checkpoints
+    const syncStats = await syncManager.runSync({
+      fullRefresh: Boolean(event && event.fullRefresh),
+      resume: Boolean(event && event.resume)
+    });
     
     return {
       statusCode: 200,
@@ -0,0 +1,101 @@
+/**
+ * Builds the date filters passed to the RESTlet for a mapping.
+ *
+ * The RESTlet accepts these optional query parameters:
+ *   fromDate / toDate     - transaction date range (YYYY-MM-DD), from the mapping's dateWindow
+ *   lastModifiedFrom      - only rows modified at or after this ISO timestamp, from the watermark
+ */
+
+const ALL_TIME = 'all-time';
+
+// "Last 90 days", "Last 6 months", "Last 1 year"
+const DATE_WINDOW_PATTERN = /^last\s+(\d+)\s+(day|week|month|year)s?$/i;
+
+/**
+ * Checks whether a dateWindow value can be interpreted
+ * @param {string} dateWindow - The mapping's dateWindow
+ * @returns {boolean} Whether the value is supported
+ */
+function isValidDateWindow(dateWindow) {
+  if (typeof dateWindow !== 'string') return false;
+  const normalized = dateWindow.trim().toLowerCase();
+  return normalized === ALL_TIME || DATE_WINDOW_PATTERN.test(normalized);
+}
+
+/**
+ * Formats a Date as YYYY-MM-DD in UTC
+ * @param {Date} date - The date to format
+ * @returns {string} The formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves a dateWindow such as "Last 90 days" to a date range ending today
+ * @param {string} dateWindow - The mapping's dateWindow
+ * @param {Date} [now] - The reference time
+ * @returns {{fromDate: string, toDate: string}|null} The range, or null for "All-Time" or no window
+ */
+function resolveDateWindow(dateWindow, now = new Date()) {
+  if (!dateWindow || dateWindow.trim().toLowerCase() === ALL_TIME) {
+    return null;
+  }
+
+  const match = dateWindow.trim().match(DATE_WINDOW_PATTERN);
+  if (!match) {
+    throw new Error(`Unsupported dateWindow: ${dateWindow}`);
+  }
+
+  const amount = parseInt(match[1], 10);
+  const unit = match[2].toLowerCase();
+  const from = new Date(now.getTime());
+
+  switch (unit) {
+    case 'day':
+      from.setUTCDate(from.getUTCDate() - amount);
+      break;
+    case 'week':
+      from.setUTCDate(from.getUTCDate() - amount * 7);
+      break;
+    case 'month':
+      from.setUTCMonth(from.getUTCMonth() - amount);
+      break;
+    case 'year':
+      from.setUTCFullYear(from.getUTCFullYear() - amount);
+      break;
+  }
+
+  return {
+    fromDate: formatDate(from),
+    toDate: formatDate(now)
+  };
+}
+
+/**
+ * Builds the RESTlet filters for a mapping run
+ * @param {Object} mapping - The mapping configuration
+ * @param {string|null} watermark - ISO timestamp of the last successful run, or null for a full fetch
+ * @param {Date} [now] - The reference time
+ * @returns {Object} Filters to pass to NetSuiteClient fetch methods
+ */
+function buildSearchFilters(mapping, watermark, now = new Date()) {
+  const filters = {};
+
+  const range = resolveDateWindow(mapping.dateWindow, now);
+  if (range) {
+    Object.assign(filters, range);
+  }
+
+  if (watermark) {
+    filters.lastModifiedFrom = watermark;
+  }
+
+  return filters;
+}
+
+module.exports = {
+  buildSearchFilters,
+  isValidDateWindow,
+  resolveDateWindow
+};
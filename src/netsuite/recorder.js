@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Records raw RESTlet responses to disk and replays them without network access.
+ *
+ * Layout (directory from NS_RECORDING_DIR, default "recordings"):
+ *   recordings/<searchId>/page-0.json
+ *   recordings/<searchId>/page-1.json
+ *
+ * Each file holds the response body exactly as NetSuite returned it, so replayed
+ * pages go through the same parsing as live ones and can be kept as regression fixtures.
+ */
+
+// Modes accepted in NS_RECORDING_MODE
+const RECORDING_MODES = ['record', 'replay'];
+
+class ResponseRecorder {
+  constructor() {
+    this.configure({
+      mode: process.env.NS_RECORDING_MODE,
+      dir: process.env.NS_RECORDING_DIR
+    });
+  }
+
+  /**
+   * Sets the recording mode and directory
+   * @param {Object} options - Recorder options
+   * @param {string} [options.mode] - "record", "replay", or empty to disable
+   * @param {string} [options.dir] - Directory holding the recordings
+   */
+  configure({ mode, dir } = {}) {
+    const normalizedMode = mode ? String(mode).toLowerCase() : null;
+    if (normalizedMode && !RECORDING_MODES.includes(normalizedMode)) {
+      throw new Error(`Invalid recording mode "${mode}". Use one of ${RECORDING_MODES.join(', ')}`);
+    }
+
+    this.mode = normalizedMode;
+    this.dir = dir || this.dir || 'recordings';
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Returns the directory holding the pages of a saved search
+   * @param {string} searchId - The internal ID of the Saved Search
+   * @returns {string} The directory path
+   */
+  getSearchDir(searchId) {
+    // Search IDs such as "customsearch_rep_focus" are safe, but never let one escape the directory
+    return path.join(this.dir, String(searchId).replace(/[^A-Za-z0-9_-]/g, '_'));
+  }
+
+  /**
+   * Returns the file holding one recorded page
+   * @param {string} searchId - The internal ID of the Saved Search
+   * @param {number} page - The 0-based page
+   * @returns {string} The file path
+   */
+  getPagePath(searchId, page) {
+    return path.join(this.getSearchDir(searchId), `page-${page}.json`);
+  }
+
+  /**
+   * Saves the raw response body of one page
+   * @param {string} searchId - The internal ID of the Saved Search
+   * @param {number} page - The 0-based page
+   * @param {Object|string} rawResponse - The response body as returned by axios
+   */
+  save(searchId, page, rawResponse) {
+    const searchDir = this.getSearchDir(searchId);
+
+    // A new recording of page 0 starts over, so pages left from a longer earlier run don't linger
+    if (page === 0) {
+      fs.rmSync(searchDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(searchDir, { recursive: true });
+
+    const body = typeof rawResponse === 'string' ? rawResponse : JSON.stringify(rawResponse, null, 2);
+    const filePath = this.getPagePath(searchId, page);
+    fs.writeFileSync(filePath, body);
+    console.log(`Recorded Saved Search ${searchId} page ${page} to ${filePath}`);
+  }
+
+  /**
+   * Loads the raw response body of one recorded page
+   * @param {string} searchId - The internal ID of the Saved Search
+   * @param {number} page - The 0-based page
+   * @returns {string} The recorded response body
+   */
+  load(searchId, page) {
+    const filePath = this.getPagePath(searchId, page);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No recorded response for Saved Search ${searchId} page ${page} (expected ${filePath})`);
+    }
+
+    console.log(`Replaying Saved Search ${searchId} page ${page} from ${filePath}`);
+    return fs.readFileSync(filePath, 'utf8');
+  }
+}
+
+// Export a singleton instance
+module.exports = new ResponseRecorder();
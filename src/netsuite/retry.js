@@ -0,0 +1,65 @@
+/**
+ * Retry policy for NetSuite requests: which failures are worth retrying and
+ * how long to wait before the next attempt.
+ */
+
+const {
+  NetSuiteNetworkError,
+  NetSuiteRateLimitError,
+  NetSuiteServerError
+} = require('./errors');
+
+/**
+ * Parses a Retry-After header value (delta-seconds or HTTP date)
+ * @param {string|number} value - The header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} The delay in milliseconds, or null if the header is absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return null;
+}
+
+/**
+ * Computes an exponential backoff delay with jitter.
+ * Half of the delay is fixed and half is random, so concurrent callers spread out
+ * while each still waits a meaningful minimum.
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {number} baseDelay - Delay before the second attempt, in milliseconds
+ * @param {number} maxDelay - Upper bound for any delay, in milliseconds
+ * @returns {number} The delay in milliseconds
+ */
+function computeBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Checks whether a failed request should be retried. Concurrency limits, server
+ * errors and lost connections are transient; auth, not-found, governance and
+ * response-format errors fail the same way on every attempt.
+ * @param {NetSuiteError} error - The typed error of the failed attempt
+ * @returns {boolean} Whether the failure is transient
+ */
+function isRetryableError(error) {
+  return error instanceof NetSuiteRateLimitError
+    || error instanceof NetSuiteServerError
+    || error instanceof NetSuiteNetworkError;
+}
+
+module.exports = {
+  computeBackoffDelay,
+  isRetryableError,
+  parseRetryAfter
+};
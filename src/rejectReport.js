@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Collects the records a sync run did not write because they failed a check, and
+ * writes them to one CSV file per run (SYNC_REJECT_REPORT_DIR, default "reports", or
+ * "/tmp/reports" on Lambda, whose filesystem is read-only outside /tmp):
+ *   reports/rejects-<runId>.csv
+ *
+ * Each line names the table, the source document number, the key, the rule that
+ * failed, the column and its value: a quarantined record with several failed rules
+ * gets one line per rule. Records skipped for an empty required column or key are
+ * listed with the rule "required".
+ */
+
+const CSV_COLUMNS = ['run_id', 'table', 'document_number', 'key_value', 'rule', 'column', 'value', 'message'];
+
+/**
+ * Quotes a value for CSV
+ * @param {*} value - The value
+ * @returns {string} The CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class RejectReport {
+  constructor() {
+    this.dir = process.env.SYNC_REJECT_REPORT_DIR ||
+      (process.env.AWS_LAMBDA_FUNCTION_NAME ? '/tmp/reports' : 'reports');
+    this.runId = null;
+    this.entries = [];
+  }
+
+  /**
+   * Starts the report of a run
+   * @param {string} runId - The id of the sync run
+   */
+  reset(runId) {
+    this.runId = runId;
+    this.entries = [];
+  }
+
+  /**
+   * Adds rejected records to the report
+   * @param {Array<{table: string, documentNumber: *, keyValue: string, rule: string, column: string, value: *, message: string}>} entries - One entry per failed rule
+   */
+  add(entries) {
+    this.entries.push(...entries);
+  }
+
+  /**
+   * Counts the entries per table and rule, for the run summary
+   * @returns {Array<{table: string, rule: string, count: number}>} The counts
+   */
+  summarize() {
+    const counts = new Map();
+    this.entries.forEach(({ table, message }) => {
+      const key = JSON.stringify([table, message]);
+      if (!counts.has(key)) counts.set(key, { table, rule: message, count: 0 });
+      counts.get(key).count++;
+    });
+
+    return [...counts.values()];
+  }
+
+  /**
+   * Writes the report file of the run
+   * @returns {string|null} The file path, or null when nothing was rejected
+   */
+  write() {
+    if (this.entries.length === 0) return null;
+
+    const lines = this.entries.map(entry => [
+      this.runId,
+      entry.table,
+      entry.documentNumber,
+      entry.keyValue,
+      entry.rule,
+      entry.column,
+      entry.value,
+      entry.message
+    ].map(toCsvField).join(','));
+
+    fs.mkdirSync(path.resolve(this.dir), { recursive: true });
+    const filePath = path.resolve(this.dir, `rejects-${this.runId}.csv`);
+    fs.writeFileSync(filePath, `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`);
+    return filePath;
+  }
+}
+
+// Export a singleton instance
+module.exports = new RejectReport();
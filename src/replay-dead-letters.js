@@ -0,0 +1,194 @@
+const config = require('./config');
+const supabaseClient = require('./supabase/client');
+const deadLetterStore = require('./supabase/deadLetters');
+const { getKeyString, hasKey, parseConflictKey } = require('./supabase/keys');
+const { getTimestampColumn } = require('./supabase/schema');
+const { VALIDATION_ERROR_CODE } = require('./supabase/writeStrategies');
+const { RowValidator } = require('./transform/validation');
+
+/**
+ * Writes the rows a sync stored as dead letters to their tables again, once the
+ * value, the mapping or the table that made Postgres reject them is fixed.
+ *
+ * Each row is written with the method of the mapping it came from, using the stored
+ * row_data (edit it in the dead-letter table or file to fix a value by hand). Rows
+ * that are written are marked as replayed; rows rejected again keep their dead letter,
+ * updated with the new error. Rows quarantined by a validation rule are checked against
+ * the mapping's current rules first, and stay quarantined while they still fail.
+ *
+ * A dead letter whose key was written again since it was stored is not replayed, so an
+ * old row cannot overwrite the newer one a later sync wrote: the current row wins when
+ * its timestamp column is later than the dead letter's, or when the mapping writes no
+ * timestamp to compare. Such dead letters are marked as replayed. --overwrite writes
+ * them anyway.
+ *
+ * Usage: node src/replay-dead-letters.js [--table name] [--run runId] [--file dead-letters.jsonl] [--overwrite]
+ */
+
+/**
+ * Reads the value following a --flag
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - The flag, e.g. "--table"
+ * @returns {string|undefined} The value, or undefined when the flag is absent
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Checks quarantined dead letters against the current validation rules of their mapping
+ * @param {Array<Object>} entries - The dead letters of one table
+ * @returns {Promise<Array<Object>>} The dead letters that can be written
+ */
+async function revalidate(entries) {
+  const { target_table: table } = entries[0];
+  const mapping = config.mappings.find(other => other.table === table);
+  const validator = new RowValidator((mapping && mapping.validations) || []);
+  const writable = [];
+
+  for (const entry of entries) {
+    const failures = entry.error_code === VALIDATION_ERROR_CODE ? validator.check(entry.row_data) : [];
+    if (failures.length === 0) {
+      writable.push(entry);
+      continue;
+    }
+
+    const message = failures.map(failure => failure.message).join('; ');
+    console.warn(`- ${table} ${entry.key_value} still fails validation: ${message}`);
+    await deadLetterStore.updateError(entry, { code: VALIDATION_ERROR_CODE, message, details: JSON.stringify(failures) });
+  }
+
+  return writable;
+}
+
+/**
+ * Sets aside the dead letters whose key was written to the table since they were stored
+ * @param {Array<Object>} entries - The dead letters of one table, method and conflict key
+ * @returns {Promise<{writable: Array<Object>, superseded: Array<Object>}>} The dead letters to write,
+ *   and the ones whose current row is newer
+ */
+async function findSuperseded(entries) {
+  const { target_table: table, method, conflict_key: conflictKey } = entries[0];
+  // Appended snapshots keep every run's rows, so a later row with the same key does not replace them
+  if (method === 'append') {
+    return { writable: entries, superseded: [] };
+  }
+
+  const mapping = config.mappings.find(other => other.table === table);
+  const timestampColumn = mapping ? getTimestampColumn(mapping) : 'timestamp';
+  const keyColumns = parseConflictKey(conflictKey);
+  const keys = entries
+    .filter(entry => hasKey(entry.row_data, keyColumns))
+    .map(entry => Object.fromEntries(keyColumns.map(column => [column, entry.row_data[column]])));
+  const current = await supabaseClient.getRowsByKeys(table, keyColumns, keys, timestampColumn ? [timestampColumn] : []);
+  const currentByKey = new Map(current.map(row => [getKeyString(row, keyColumns), row]));
+
+  const result = { writable: [], superseded: [] };
+  entries.forEach(entry => {
+    const row = hasKey(entry.row_data, keyColumns) ? currentByKey.get(getKeyString(entry.row_data, keyColumns)) : null;
+    // The row's own timestamp is when the sync built it; older dead letters may only have created_at
+    const storedAt = timestampColumn && (entry.row_data[timestampColumn] || entry.created_at);
+    const isNewer = row && (!timestampColumn || Date.parse(row[timestampColumn]) > Date.parse(storedAt));
+    result[isNewer ? 'superseded' : 'writable'].push(entry);
+  });
+
+  return result;
+}
+
+/**
+ * Writes one group of dead letters sharing a table, method and conflict key
+ * @param {Array<Object>} group - The dead letters
+ * @param {boolean} [overwrite=false] - Write dead letters whose key was written again since
+ * @returns {Promise<{replayed: number, rejected: number, superseded: number}>} The counts
+ */
+async function replayGroup(group, overwrite = false) {
+  const { target_table: table, method, conflict_key: conflictKey } = group[0];
+  const valid = await revalidate(group);
+  const invalid = group.length - valid.length;
+  if (valid.length === 0) {
+    return { replayed: 0, rejected: invalid, superseded: 0 };
+  }
+
+  const { writable: entries, superseded } = overwrite ? { writable: valid, superseded: [] } : await findSuperseded(valid);
+  if (superseded.length > 0) {
+    console.warn(`Skipping ${superseded.length} dead letters for ${table}: their rows were written again since (use --overwrite to write them anyway)`);
+    await deadLetterStore.markReplayed(superseded);
+  }
+  if (entries.length === 0) {
+    return { replayed: 0, rejected: invalid, superseded: superseded.length };
+  }
+  const rows = entries.map(entry => entry.row_data);
+  const options = { isolateRows: true };
+
+  console.log(`Replaying ${rows.length} dead letters into ${table} using "${method}"`);
+
+  let result;
+  // Rows of replace and swap runs belong to a reload that already finished, so they are added to it
+  if (['append', 'replace', 'swap'].includes(method)) {
+    result = await supabaseClient.insert(table, rows, options);
+  } else {
+    result = await supabaseClient.upsert(table, rows, conflictKey, { ...options, ignoreDuplicates: method === 'insert' });
+  }
+
+  const rejectedIndexes = new Set();
+  for (const { index, error } of result.rejected || []) {
+    rejectedIndexes.add(index);
+    console.warn(`- ${table} ${entries[index].key_value} is still rejected: ${error.message}`);
+    await deadLetterStore.updateError(entries[index], error);
+  }
+
+  await deadLetterStore.markReplayed(entries.filter((entry, index) => !rejectedIndexes.has(index)));
+
+  return { replayed: entries.length - rejectedIndexes.size, rejected: rejectedIndexes.size + invalid, superseded: superseded.length };
+}
+
+/**
+ * Replays the pending dead letters matching the command line filters
+ * @returns {Promise<void>}
+ */
+async function replayDeadLetters() {
+  const args = process.argv.slice(2);
+  const filters = {
+    table: getFlagValue(args, '--table'),
+    runId: getFlagValue(args, '--run')
+  };
+
+  // Dead letters written to a file (SYNC_DEAD_LETTER_FILE, or the fallback when the table was unavailable)
+  const file = getFlagValue(args, '--file');
+  if (file) {
+    deadLetterStore.file = file;
+  }
+
+  try {
+    const entries = await deadLetterStore.listPending(filters);
+    if (entries.length === 0) {
+      console.log('No dead letters to replay');
+      return;
+    }
+
+    const groups = new Map();
+    entries.forEach(entry => {
+      const groupKey = `${entry.target_table}|${entry.method}|${entry.conflict_key}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push(entry);
+    });
+
+    let replayed = 0;
+    let rejected = 0;
+    let superseded = 0;
+    for (const group of groups.values()) {
+      const counts = await replayGroup(group, args.includes('--overwrite'));
+      replayed += counts.replayed;
+      rejected += counts.rejected;
+      superseded += counts.superseded;
+    }
+
+    console.log(`Replayed ${replayed} of ${entries.length} dead letters${rejected > 0 ? `, ${rejected} still rejected` : ''}${superseded > 0 ? `, ${superseded} superseded by newer rows` : ''}`);
+  } catch (error) {
+    console.error(`Failed to replay dead letters: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+replayDeadLetters();
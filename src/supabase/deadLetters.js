@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const supabaseClient = require('./client');
+const { quoteFilterValue } = require('./keys');
+
+/**
+ * Keeps the rows Postgres rejected during a sync, so they can be written again
+ * once the data or the table is fixed.
+ *
+ * Rows go to a table (name from SYNC_DEAD_LETTER_TABLE, default "sync_dead_letters"),
+ * or to a JSON Lines file when SYNC_DEAD_LETTER_FILE is set. If the table cannot be
+ * written, the rows go to SYNC_DEAD_LETTER_FALLBACK_FILE instead of being lost (default
+ * "dead-letters.jsonl", or "/tmp/dead-letters.jsonl" on Lambda, where only /tmp is writable).
+ *
+ * Expected table:
+ *   create table sync_dead_letters (
+ *     id bigint generated always as identity primary key,
+ *     run_id text not null,
+ *     target_table text not null,
+ *     search_id text,
+ *     method text not null,
+ *     conflict_key text not null,
+ *     key_value text,
+ *     row_data jsonb not null,
+ *     raw_record jsonb,
+ *     error_code text,
+ *     error_message text not null,
+ *     error_details text,
+ *     created_at timestamptz not null default now(),
+ *     replayed_at timestamptz
+ *   );
+ */
+class DeadLetterStore {
+  constructor() {
+    this.table = process.env.SYNC_DEAD_LETTER_TABLE || 'sync_dead_letters';
+    this.file = process.env.SYNC_DEAD_LETTER_FILE || null;
+    this.fallbackFile = process.env.SYNC_DEAD_LETTER_FALLBACK_FILE
+      || (process.env.AWS_LAMBDA_FUNCTION_NAME ? '/tmp/dead-letters.jsonl' : 'dead-letters.jsonl');
+  }
+
+  /**
+   * Returns the file dead letters are kept in when no table is used
+   * @returns {string} The file path
+   */
+  getFilePath() {
+    return path.resolve(this.file || this.fallbackFile);
+  }
+
+  /**
+   * Stores rejected rows
+   * @param {Array<Object>} entries - Dead letters, one per rejected row, with the table's columns
+   * @returns {Promise<string|null>} Where the rows were stored, or null when there were none
+   */
+  async add(entries) {
+    if (entries.length === 0) return null;
+
+    if (!this.file) {
+      const { error } = await supabaseClient.client
+        .from(this.table)
+        .insert(entries);
+
+      if (!error) {
+        return `table ${this.table}`;
+      }
+      console.warn(`WARNING: Failed to store ${entries.length} dead letters in ${this.table}: ${error.message}. Writing them to ${this.getFilePath()}`);
+    }
+
+    const lines = entries
+      .map((entry, index) => JSON.stringify({
+        id: `${entry.run_id}:${Date.now()}:${index}`,
+        created_at: new Date().toISOString(),
+        replayed_at: null,
+        ...entry
+      }))
+      .join('\n');
+    fs.mkdirSync(path.dirname(this.getFilePath()), { recursive: true });
+    fs.appendFileSync(this.getFilePath(), `${lines}\n`);
+    return this.getFilePath();
+  }
+
+  /**
+   * Reads the dead letters that were not replayed yet, oldest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.table] - Only rows for this target table
+   * @param {string} [filters.runId] - Only rows rejected by this run
+   * @returns {Promise<Array<Object>>} The dead letters
+   */
+  async listPending(filters = {}) {
+    if (this.file) {
+      return this.readFile()
+        .filter(entry => !entry.replayed_at)
+        .filter(entry => !filters.table || entry.target_table === filters.table)
+        .filter(entry => !filters.runId || entry.run_id === filters.runId);
+    }
+
+    // PostgREST returns at most 1000 rows per request, so read page by page
+    const pageSize = 1000;
+    const entries = [];
+    let from = 0;
+
+    while (true) {
+      let query = supabaseClient.client
+        .from(this.table)
+        .select('*')
+        .is('replayed_at', null)
+        .order('id', { ascending: true });
+
+      if (filters.table) query = query.eq('target_table', filters.table);
+      if (filters.runId) query = query.eq('run_id', filters.runId);
+
+      const { data, error } = await query.range(from, from + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to read dead letters from ${this.table}: ${error.message}`);
+      }
+
+      entries.push(...(data || []));
+      if (!data || data.length < pageSize) {
+        return entries;
+      }
+      from += pageSize;
+    }
+  }
+
+  /**
+   * Reads the pending dead letters of a table for the given keys, to tell which
+   * rows are already waiting for a replay
+   * @param {string} table - The target table
+   * @param {Array<string>} keyValues - The key values to look up
+   * @returns {Promise<Array<{key_value: string, error_message: string}>>} The pending dead letters
+   */
+  async findPending(table, keyValues) {
+    if (keyValues.length === 0) return [];
+
+    if (this.file) {
+      const keys = new Set(keyValues);
+      return this.readFile()
+        .filter(entry => !entry.replayed_at && entry.target_table === table && keys.has(entry.key_value));
+    }
+
+    // Keep the filter short enough for the request URL
+    const chunkSize = 100;
+    const entries = [];
+
+    for (let i = 0; i < keyValues.length; i += chunkSize) {
+      // Composite keys are JSON arrays, whose quotes and commas in() would not escape
+      const filter = keyValues.slice(i, i + chunkSize)
+        .map(keyValue => `key_value.eq.${quoteFilterValue(keyValue)}`)
+        .join(',');
+      const { data, error } = await supabaseClient.client
+        .from(this.table)
+        .select('key_value, error_message')
+        .eq('target_table', table)
+        .is('replayed_at', null)
+        .or(filter);
+
+      if (error) {
+        throw new Error(`Failed to read dead letters from ${this.table}: ${error.message}`);
+      }
+      entries.push(...(data || []));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Marks dead letters as replayed
+   * @param {Array<Object>} entries - The dead letters that were written successfully
+   * @returns {Promise<void>}
+   */
+  async markReplayed(entries) {
+    if (entries.length === 0) return;
+    const replayedAt = new Date().toISOString();
+
+    if (this.file) {
+      const ids = new Set(entries.map(entry => entry.id));
+      this.writeFile(this.readFile().map(entry => (ids.has(entry.id) ? { ...entry, replayed_at: replayedAt } : entry)));
+      return;
+    }
+
+    const { error } = await supabaseClient.client
+      .from(this.table)
+      .update({ replayed_at: replayedAt })
+      .in('id', entries.map(entry => entry.id));
+
+    if (error) {
+      throw new Error(`Failed to mark dead letters as replayed in ${this.table}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the error a dead letter failed with on its latest replay
+   * @param {Object} entry - The dead letter
+   * @param {Object} error - The Postgres error ({code, message, details})
+   * @returns {Promise<void>}
+   */
+  async updateError(entry, error) {
+    const changes = {
+      error_code: error.code || null,
+      error_message: error.message,
+      error_details: error.details || null
+    };
+
+    if (this.file) {
+      this.writeFile(this.readFile().map(other => (other.id === entry.id ? { ...other, ...changes } : other)));
+      return;
+    }
+
+    const { error: updateError } = await supabaseClient.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', entry.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update dead letter ${entry.id} in ${this.table}: ${updateError.message}`);
+    }
+  }
+
+  /**
+   * Reads every entry of the dead-letter file
+   * @returns {Array<Object>} The entries
+   */
+  readFile() {
+    const filePath = this.getFilePath();
+    if (!fs.existsSync(filePath)) return [];
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Replaces the entries of the dead-letter file
+   * @param {Array<Object>} entries - The entries
+   */
+  writeFile(entries) {
+    fs.writeFileSync(this.getFilePath(), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+}
+
+// Export a singleton instance
+module.exports = new DeadLetterStore();
@@ -0,0 +1,76 @@
+/**
+ * Helpers for conflict keys, which may name a single column ("pkey") or a
+ * comma-separated composite key ("sales_order_internal_id,line_id").
+ */
+
+// One or more column names separated by commas
+const CONFLICT_KEY_PATTERN = /^\s*[a-zA-Z0-9_\- ]+(\s*,\s*[a-zA-Z0-9_\- ]+)*\s*$/;
+
+/**
+ * Checks whether a conflict key is a valid single or composite column list
+ * @param {string} conflictKey - The conflict key
+ * @returns {boolean} Whether the conflict key is valid
+ */
+function isValidConflictKey(conflictKey) {
+  return typeof conflictKey === 'string' && CONFLICT_KEY_PATTERN.test(conflictKey);
+}
+
+/**
+ * Splits a conflict key into its column names
+ * @param {string} conflictKey - The conflict key
+ * @returns {Array<string>} The key columns
+ */
+function parseConflictKey(conflictKey) {
+  return conflictKey.split(',').map(column => column.trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a conflict key to the comma-separated form PostgREST expects for on_conflict
+ * @param {string} conflictKey - The conflict key
+ * @returns {string} The normalized conflict key
+ */
+function formatConflictKey(conflictKey) {
+  return parseConflictKey(conflictKey).join(',');
+}
+
+/**
+ * Checks whether a record has a value for every key column
+ * @param {Object} record - The record
+ * @param {Array<string>} columns - The key columns
+ * @returns {boolean} Whether the key is complete
+ */
+function hasKey(record, columns) {
+  return columns.every(column => record[column] !== undefined && record[column] !== null);
+}
+
+/**
+ * Builds a string identifying a record by its key columns, usable in a Set or Map
+ * @param {Object} record - The record
+ * @param {Array<string>} columns - The key columns
+ * @returns {string} The key string
+ */
+function getKeyString(record, columns) {
+  if (columns.length === 1) {
+    return String(record[columns[0]]);
+  }
+  return JSON.stringify(columns.map(column => String(record[column])));
+}
+
+/**
+ * Quotes a value for use inside a PostgREST or() filter. postgrest-js does not escape
+ * the values of in() filters, so keys holding quotes or commas go through or() instead.
+ * @param {*} value - The value to quote
+ * @returns {string} The quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+module.exports = {
+  formatConflictKey,
+  getKeyString,
+  hasKey,
+  isValidConflictKey,
+  parseConflictKey,
+  quoteFilterValue
+};
@@ -0,0 +1,27 @@
+/**
+ * Helpers for the keys the sync state tables (watermarks, checkpoints) store a
+ * mapping's state under.
+ */
+
+/**
+ * Returns the id of the search a mapping reads, or "suiteql" for a SuiteQL mapping
+ * @param {Object} mapping - The mapping configuration
+ * @returns {string} The source id
+ */
+function getSourceId(mapping) {
+  return mapping.source === 'suiteql' ? 'suiteql' : String(mapping.searchId);
+}
+
+/**
+ * Builds the key a mapping's state is stored under, "<searchId>:<table>"
+ * @param {Object} mapping - The mapping configuration
+ * @returns {string} The mapping key
+ */
+function getMappingKey(mapping) {
+  return `${getSourceId(mapping)}:${mapping.table}`;
+}
+
+module.exports = {
+  getMappingKey,
+  getSourceId
+};
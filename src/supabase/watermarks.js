@@ -0,0 +1,60 @@
+const supabaseClient = require('./client');
+const { getMappingKey } = require('./stateKeys');
+
+/**
+ * Persists the per-mapping high-water mark used for incremental syncs.
+ *
+ * Expected table (name from SYNC_WATERMARK_TABLE, default "sync_watermarks"):
+ *   create table sync_watermarks (
+ *     mapping_key text primary key,
+ *     watermark timestamptz not null,
+ *     updated_at timestamptz not null default now()
+ *   );
+ */
+class WatermarkStore {
+  constructor() {
+    this.table = process.env.SYNC_WATERMARK_TABLE || 'sync_watermarks';
+  }
+
+  /**
+   * Reads the watermark of a mapping
+   * @param {Object} mapping - The mapping configuration
+   * @returns {Promise<string|null>} ISO timestamp of the last successful run, or null if none
+   */
+  async get(mapping) {
+    const { data, error } = await supabaseClient.client
+      .from(this.table)
+      .select('watermark')
+      .eq('mapping_key', getMappingKey(mapping))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read watermark for ${mapping.table}: ${error.message}`);
+    }
+
+    return data ? data.watermark : null;
+  }
+
+  /**
+   * Stores the watermark of a mapping
+   * @param {Object} mapping - The mapping configuration
+   * @param {string} watermark - ISO timestamp taken before the successful run started
+   * @returns {Promise<void>}
+   */
+  async set(mapping, watermark) {
+    const { error } = await supabaseClient.client
+      .from(this.table)
+      .upsert({
+        mapping_key: getMappingKey(mapping),
+        watermark,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'mapping_key' });
+
+    if (error) {
+      throw new Error(`Failed to store watermark for ${mapping.table}: ${error.message}`);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new WatermarkStore();
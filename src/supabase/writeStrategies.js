@@ -0,0 +1,515 @@
+/**
+ * Write strategies selected by a mapping's "method" field.
+ *
+ * Every writer follows the same lifecycle so that the sync can feed it one
+ * page of records at a time:
+ *   begin()          - once, before the first batch
+ *   write(records, sourceRecords) - once per page of processed records, with the raw
+ *                    NetSuite record each row was built from
+ *   quarantine(quarantined) - for the rows of a page that failed the mapping's validations
+ *   finish()         - once, after every batch was written successfully
+ *
+ * Writers keep their own counts in `stats`. Rows Postgres rejects (a malformed date,
+ * an overflowing number) are isolated and handed to the dead-letter store, so one bad
+ * value does not stop the rest of the mapping. Quarantined rows go to the same store,
+ * with the error code VALIDATION_ERROR_CODE, unless the key is already pending there
+ * with the same error.
+ */
+
+const { getKeyString, hasKey, parseConflictKey } = require('./keys');
+const { computeRowHash } = require('../transform/rowHash');
+
+// Methods accepted in the mapping "method" field
+const WRITE_METHODS = ['upsert', 'insert', 'append', 'replace', 'swap', 'mirror'];
+
+// Methods whose earlier pages stay written when a run dies, so it can resume from a checkpoint;
+// replace and swap start over from an empty staging table on every run
+const RESUMABLE_METHODS = ['upsert', 'insert', 'append', 'mirror'];
+
+// What an upsert mapping's "missingRows" does with destination rows a complete run did not see
+const MISSING_ROW_ACTIONS = ['softDelete', 'delete', 'report'];
+
+// Dead-letter error code of rows that failed the mapping's validations
+const VALIDATION_ERROR_CODE = 'VALIDATION';
+
+// Share of the destination rows that may go missing in one run before it looks like a broken fetch
+const DEFAULT_MISSING_ROWS_MAX_RATIO = 0.5;
+
+class BaseWriter {
+  /**
+   * @param {Object} supabaseClient - The Supabase client wrapper
+   * @param {Object} mapping - The mapping configuration
+   * @param {string} conflictKey - The column, or comma-separated columns, identifying a destination row
+   * @param {Object} [searchContext] - The run's search context
+   * @param {boolean} [searchContext.incremental=false] - Whether the run only fetched changed rows
+   * @param {Object} [searchContext.filters] - The RESTlet filters of the run
+   * @param {Object} [options] - Writer options
+   * @param {string} [options.runId] - The id of the sync run, stored with rejected rows
+   * @param {Object} [options.deadLetterStore] - Store for rejected rows; without one a rejected row fails the write
+   */
+  constructor(supabaseClient, mapping, conflictKey, searchContext = {}, options = {}) {
+    this.supabaseClient = supabaseClient;
+    this.incremental = Boolean(searchContext.incremental);
+    // A date-limited fetch only sees the rows inside its window, or changed since the watermark
+    const filters = searchContext.filters || {};
+    this.dateLimited = Boolean(filters.fromDate || filters.toDate || filters.lastModifiedFrom);
+    this.table = mapping.table;
+    this.searchId = mapping.source === 'suiteql' ? 'suiteql' : mapping.searchId;
+    this.conflictKey = conflictKey;
+    this.keyColumns = parseConflictKey(conflictKey);
+    this.runId = options.runId || null;
+    this.deadLetterStore = options.deadLetterStore || null;
+    this.stats = {
+      method: mapping.method,
+      recordsProcessed: 0
+    };
+  }
+
+  async begin() {}
+
+  async write(records, sourceRecords = []) {
+    throw new Error(`write() is not implemented for method ${this.stats.method}`);
+  }
+
+  /**
+   * Options for SupabaseClient writes: rows are only isolated when they can be stored
+   * @returns {{isolateRows: boolean}} The write options
+   */
+  getWriteOptions() {
+    return { isolateRows: Boolean(this.deadLetterStore) };
+  }
+
+  /**
+   * Counts the rows of a write Supabase returned no row count for, which are neither
+   * assumed written nor skipped
+   * @param {Object} result - The result of SupabaseClient.upsert or insert
+   * @returns {number} The uncounted rows
+   */
+  countUncounted(result) {
+    const uncounted = result.recordsUncounted || 0;
+    if (uncounted > 0) {
+      this.stats.recordsUncounted = (this.stats.recordsUncounted || 0) + uncounted;
+    }
+    return uncounted;
+  }
+
+  /**
+   * Stores the rows Postgres rejected in the dead-letter store
+   * @param {Array<{index: number, record: Object, error: Object}>} rejected - Rejected rows from SupabaseClient
+   * @param {Array} sourceRecords - Raw NetSuite records, aligned with the written records
+   * @returns {Promise<void>}
+   */
+  async storeRejected(rejected = [], sourceRecords = []) {
+    if (rejected.length === 0) return;
+
+    this.stats.recordsRejected = (this.stats.recordsRejected || 0) + rejected.length;
+    const location = await this.deadLetterStore.add(rejected.map(({ index, record, error }) => ({
+      run_id: this.runId,
+      target_table: this.table,
+      search_id: this.searchId || null,
+      method: this.stats.method,
+      conflict_key: this.keyColumns.join(','),
+      key_value: getKeyString(record, this.keyColumns),
+      row_data: record,
+      raw_record: sourceRecords[index] || null,
+      error_code: error.code || null,
+      error_message: error.message,
+      error_details: error.details || null
+    })));
+
+    console.warn(`WARNING: ${rejected.length} rows rejected by ${this.table} were stored in ${location}: ${[...new Set(rejected.map(({ error }) => error.message))].join('; ')}`);
+  }
+
+  /**
+   * Stores the rows that failed the mapping's validations instead of writing them
+   * @param {Array<{row: Object, record: Object, failures: Array}>} quarantined - Failing rows from RowValidator
+   * @returns {Promise<void>}
+   */
+  async quarantine(quarantined = []) {
+    if (quarantined.length === 0) return;
+
+    this.stats.recordsQuarantined = (this.stats.recordsQuarantined || 0) + quarantined.length;
+    if (!this.deadLetterStore) return;
+
+    const entries = quarantined.map(({ row, record, failures }) => ({
+      run_id: this.runId,
+      target_table: this.table,
+      search_id: this.searchId || null,
+      method: this.stats.method,
+      conflict_key: this.keyColumns.join(','),
+      key_value: getKeyString(row, this.keyColumns),
+      row_data: row,
+      raw_record: record || null,
+      error_code: VALIDATION_ERROR_CODE,
+      error_message: failures.map(failure => failure.message).join('; '),
+      error_details: JSON.stringify(failures)
+    }));
+
+    // A row that stays invalid is quarantined again on every run: keep its first
+    // dead letter instead of adding one per run while it fails the same way
+    let pending = [];
+    try {
+      pending = await this.deadLetterStore.findPending(this.table, [...new Set(entries.map(entry => entry.key_value))]);
+    } catch (error) {
+      console.warn(`WARNING: ${error.message}. Storing every quarantined row of ${this.table}`);
+    }
+    const pendingKeys = new Set(pending.map(entry => JSON.stringify([entry.key_value, entry.error_message])));
+    const newEntries = entries.filter(entry => !pendingKeys.has(JSON.stringify([entry.key_value, entry.error_message])));
+
+    await this.deadLetterStore.add(newEntries);
+  }
+
+  /**
+   * @param {Object} [fetch] - How the run's fetch went
+   * @param {boolean} [fetch.complete=false] - Whether every page and every record was fetched and built
+   * @param {string} [fetch.reason] - Why the fetch was not complete
+   * @returns {Promise<Object>} The writer's stats
+   */
+  async finish(fetch = {}) {
+    return this.stats;
+  }
+}
+
+/**
+ * Inserts new rows and updates existing ones (the default behavior).
+ * With "missingRows", destination rows a complete run did not see are soft-deleted
+ * (their deletedAtColumn is set, and cleared again if they come back), deleted, or reported.
+ * With "changeDetection", each row carries a hash of its content and rows whose hash
+ * matches the destination are not written, so their timestamp keeps the last change.
+ */
+class UpsertWriter extends BaseWriter {
+  constructor(supabaseClient, mapping, conflictKey, searchContext, options) {
+    super(supabaseClient, mapping, conflictKey, searchContext, options);
+    this.missingRows = mapping.missingRows || null;
+    this.deletedAtColumn = mapping.deletedAtColumn || 'deleted_at';
+    this.missingRowsMaxRatio = mapping.missingRowsMaxRatio === undefined ? DEFAULT_MISSING_ROWS_MAX_RATIO : mapping.missingRowsMaxRatio;
+    this.seenKeys = new Set();
+    this.stats.recordsUpserted = 0;
+
+    this.hashColumn = mapping.changeDetection ? mapping.hashColumn || 'row_hash' : null;
+    if (this.hashColumn) {
+      const timestampColumn = mapping.timestampColumn === undefined ? 'timestamp' : mapping.timestampColumn;
+      this.hashExcludedColumns = [timestampColumn, this.deletedAtColumn, this.hashColumn].filter(Boolean);
+      Object.assign(this.stats, { recordsInserted: 0, recordsUpdated: 0, recordsUnchanged: 0 });
+    }
+  }
+
+  async write(records, sourceRecords = []) {
+    let rows = records;
+    let rowSources = sourceRecords;
+    let changes = null;
+    if (this.hashColumn) {
+      ({ rows, sourceRecords: rowSources, changes } = await this.skipUnchanged(records, sourceRecords));
+    }
+
+    if (this.missingRows === 'softDelete') {
+      rows = rows.map(row => ({ ...row, [this.deletedAtColumn]: null }));
+    }
+
+    this.stats.recordsProcessed += records.length;
+    if (rows.length > 0) {
+      const result = await this.supabaseClient.upsert(this.table, rows, this.conflictKey, this.getWriteOptions());
+      this.stats.recordsUpserted += result.recordsAffected || 0;
+      this.countUncounted(result);
+      await this.storeRejected(result.rejected, rowSources);
+
+      if (changes) {
+        const rejectedIndexes = new Set((result.rejected || []).map(({ index }) => index));
+        changes
+          .filter((change, index) => !rejectedIndexes.has(index))
+          .forEach(change => {
+            if (change === 'insert') this.stats.recordsInserted++;
+            else this.stats.recordsUpdated++;
+          });
+      }
+    }
+
+    // Rejected rows still count as seen: their destination rows must not be deleted
+    if (this.missingRows) {
+      records.forEach(record => this.seenKeys.add(getKeyString(record, this.keyColumns)));
+    }
+  }
+
+  async quarantine(quarantined = []) {
+    await super.quarantine(quarantined);
+
+    // The destination keeps its last valid version of a quarantined row
+    if (this.missingRows) {
+      quarantined.forEach(({ row }) => this.seenKeys.add(getKeyString(row, this.keyColumns)));
+    }
+  }
+
+  /**
+   * Hashes the records and leaves out the ones whose hash matches their destination row.
+   * Soft-deleted destination rows are always written, to clear their deletedAtColumn.
+   * @param {Array} records - Processed records
+   * @param {Array} sourceRecords - Raw NetSuite records, aligned with the records
+   * @returns {Promise<{rows: Array, sourceRecords: Array, changes: Array<string>}>} The rows to write with
+   *   their hash, their raw records, and whether each one is an "insert" or an "update"
+   */
+  async skipUnchanged(records, sourceRecords) {
+    const hashed = records.map(record => ({
+      ...record,
+      [this.hashColumn]: computeRowHash(record, this.hashExcludedColumns)
+    }));
+
+    const readColumns = this.missingRows === 'softDelete' ? [this.hashColumn, this.deletedAtColumn] : [this.hashColumn];
+    const existing = await this.supabaseClient.getRowsByKeys(
+      this.table,
+      this.keyColumns,
+      hashed.filter(row => hasKey(row, this.keyColumns)),
+      readColumns
+    );
+    const existingByKey = new Map(existing.map(row => [getKeyString(row, this.keyColumns), row]));
+
+    const rows = [];
+    const rowSources = [];
+    const changes = [];
+    hashed.forEach((row, index) => {
+      const current = existingByKey.get(getKeyString(row, this.keyColumns));
+      const restored = this.missingRows === 'softDelete' && current && current[this.deletedAtColumn];
+
+      if (current && current[this.hashColumn] === row[this.hashColumn] && !restored) {
+        this.stats.recordsUnchanged++;
+        return;
+      }
+
+      rows.push(row);
+      rowSources.push(sourceRecords[index]);
+      changes.push(current ? 'update' : 'insert');
+    });
+
+    return { rows, sourceRecords: rowSources, changes };
+  }
+
+  async finish(fetch = {}) {
+    if (this.missingRows) {
+      await this.handleMissingRows(fetch);
+    }
+    return this.stats;
+  }
+
+  /**
+   * Finds the destination rows this run did not see and applies the missingRows action.
+   * Only runs after a complete, non-incremental fetch without a date window, and stops when more than
+   * missingRowsMaxRatio of the destination rows would be affected.
+   * @param {Object} fetch - How the run's fetch went, see BaseWriter.finish
+   * @returns {Promise<void>}
+   */
+  async handleMissingRows(fetch) {
+    const action = this.missingRows;
+
+    // An incremental run only saw changed rows, so missing keys say nothing about deletions
+    if (this.incremental) {
+      console.log(`Incremental run for ${this.table}, skipping missing rows (${action})`);
+      return;
+    }
+
+    // Validation rejects date windows here; this also covers filters that arrive another way
+    if (this.dateLimited) {
+      console.warn(`WARNING: The fetch for ${this.table} was limited to a date window, skipping missing rows (${action})`);
+      return;
+    }
+
+    if (!fetch.complete) {
+      console.warn(`WARNING: The fetch for ${this.table} was partial (${fetch.reason || 'not every page was read'}), skipping missing rows (${action})`);
+      return;
+    }
+
+    // Never treat an empty source as every row having been deleted
+    if (this.seenKeys.size === 0) {
+      console.warn(`No records seen for ${this.table}, skipping missing rows (${action})`);
+      return;
+    }
+
+    // Rows already soft-deleted are not reported again
+    const destinationKeys = await this.supabaseClient.getKeys(
+      this.table,
+      this.keyColumns,
+      action === 'softDelete' ? { whereNull: this.deletedAtColumn } : {}
+    );
+    const missingKeys = destinationKeys.filter(key => !this.seenKeys.has(getKeyString(key, this.keyColumns)));
+    this.stats.recordsMissing = missingKeys.length;
+
+    if (missingKeys.length === 0) return;
+
+    if (missingKeys.length > destinationKeys.length * this.missingRowsMaxRatio) {
+      console.warn(`WARNING: ${missingKeys.length} of ${destinationKeys.length} rows of ${this.table} are no longer in the source, more than missingRowsMaxRatio (${this.missingRowsMaxRatio}) allows. Skipping ${action}; raise the ratio if this is expected`);
+      return;
+    }
+
+    const sample = missingKeys.slice(0, 10).map(key => getKeyString(key, this.keyColumns)).join(', ');
+    console.log(`${missingKeys.length} rows of ${this.table} are no longer in the source (${sample}${missingKeys.length > 10 ? ', ...' : ''})`);
+
+    if (action === 'softDelete') {
+      this.stats.recordsSoftDeleted = await this.supabaseClient.markDeletedByKeys(this.table, this.keyColumns, missingKeys, this.deletedAtColumn);
+    } else if (action === 'delete') {
+      this.stats.recordsDeleted = await this.supabaseClient.deleteByKeys(this.table, this.keyColumns, missingKeys);
+    }
+  }
+}
+
+/**
+ * Inserts new rows and leaves rows whose conflict key already exists untouched
+ */
+class InsertWriter extends BaseWriter {
+  constructor(...args) {
+    super(...args);
+    this.stats.recordsInserted = 0;
+    this.stats.recordsSkipped = 0;
+  }
+
+  async write(records, sourceRecords = []) {
+    // Supabase counts only the rows it inserted, not the ones skipped as duplicates
+    const result = await this.supabaseClient.upsert(this.table, records, this.conflictKey, { ...this.getWriteOptions(), ignoreDuplicates: true });
+    const inserted = result.recordsAffected || 0;
+    const rejected = (result.rejected || []).length;
+    const uncounted = this.countUncounted(result);
+    this.stats.recordsProcessed += records.length;
+    this.stats.recordsInserted += inserted;
+    this.stats.recordsSkipped += records.length - inserted - rejected - uncounted;
+    await this.storeRejected(result.rejected, sourceRecords);
+  }
+}
+
+/**
+ * Always inserts, e.g. for snapshot tables where every run adds new rows
+ */
+class AppendWriter extends BaseWriter {
+  constructor(...args) {
+    super(...args);
+    this.stats.recordsInserted = 0;
+  }
+
+  async write(records, sourceRecords = []) {
+    const result = await this.supabaseClient.insert(this.table, records, this.getWriteOptions());
+    this.stats.recordsProcessed += records.length;
+    this.stats.recordsInserted += result.recordsAffected || 0;
+    this.countUncounted(result);
+    await this.storeRejected(result.rejected, sourceRecords);
+  }
+}
+
+/**
+ * Loads every record into the table's staging table, then replaces the live rows
+ * with the staged ones in a single transaction, so the table is never seen empty or
+ * half-loaded. A run that fails, fetches only part of the search, or returns no records,
+ * leaves the live table alone.
+ * Used by both "replace" and "swap": a full reload never empties the live table first.
+ */
+class SwapWriter extends BaseWriter {
+  constructor(...args) {
+    super(...args);
+    this.stagingTable = null;
+    this.stats.recordsDeleted = 0;
+    this.stats.recordsInserted = 0;
+  }
+
+  async begin() {
+    this.stagingTable = await this.supabaseClient.prepareStagingTable(this.table);
+    console.log(`Loading ${this.table} into ${this.stagingTable}`);
+  }
+
+  async write(records, sourceRecords = []) {
+    const result = await this.supabaseClient.insert(this.stagingTable, records, this.getWriteOptions());
+    this.stats.recordsProcessed += records.length;
+    this.stats.recordsInserted += result.recordsAffected || 0;
+    this.countUncounted(result);
+    await this.storeRejected(result.rejected, sourceRecords);
+  }
+
+  async finish(fetch = {}) {
+    // A partial or date-limited load would replace the live table with a fraction of its rows
+    if (this.dateLimited || !fetch.complete) {
+      const reason = this.dateLimited ? 'it was limited to a date window' : (fetch.reason || 'not every page was read');
+      console.warn(`WARNING: The fetch for ${this.table} was partial (${reason}), keeping the live table`);
+      try {
+        await this.supabaseClient.dropStagingTable(this.table);
+      } catch (error) {
+        // The next run empties the staging table again before loading it
+        console.warn(`WARNING: ${error.message}`);
+      }
+      return this.stats;
+    }
+
+    // Plain inserts write every row they are not rejected for, counted or not
+    const staged = this.stats.recordsInserted + (this.stats.recordsUncounted || 0);
+    if (staged === 0) {
+      console.warn(`No records staged for ${this.table}, keeping the live table`);
+      return this.stats;
+    }
+
+    // The swap checks the staged row count itself and changes nothing when it differs
+    const { deleted, inserted } = await this.supabaseClient.swapStagingTable(this.table, staged);
+    console.log(`Swapped ${inserted} staged rows into ${this.table}, replacing ${deleted} rows`);
+    this.stats.recordsDeleted = deleted;
+
+    return this.stats;
+  }
+}
+
+/**
+ * Upserts every record, then deletes destination rows whose conflict key
+ * was not seen in this run (an upsert with "missingRows": "delete")
+ */
+class MirrorWriter extends UpsertWriter {
+  constructor(...args) {
+    super(...args);
+    this.missingRows = 'delete';
+    this.stats.recordsDeleted = 0;
+  }
+}
+
+/**
+ * Counts records without writing them, for dry runs such as replaying recorded responses
+ */
+class DryRunWriter extends BaseWriter {
+  constructor(...args) {
+    super(...args);
+    this.stats.dryRun = true;
+  }
+
+  async write(records, sourceRecords = []) {
+    this.stats.recordsProcessed += records.length;
+  }
+}
+
+const WRITERS = {
+  upsert: UpsertWriter,
+  insert: InsertWriter,
+  append: AppendWriter,
+  replace: SwapWriter,
+  swap: SwapWriter,
+  mirror: MirrorWriter
+};
+
+/**
+ * Creates the writer for a mapping's method
+ * @param {Object} supabaseClient - The Supabase client wrapper
+ * @param {Object} mapping - The mapping configuration
+ * @param {string} conflictKey - The column, or comma-separated columns, identifying a destination row
+ * @param {Object} [searchContext] - The run's search context
+ * @param {Object} [options] - Writer options
+ * @param {boolean} [options.dryRun=false] - Count records without writing anything
+ * @param {string} [options.runId] - The id of the sync run, stored with rejected rows
+ * @param {Object} [options.deadLetterStore] - Store for rows Postgres rejects
+ * @returns {BaseWriter} The writer for the mapping
+ */
+function createWriter(supabaseClient, mapping, conflictKey, searchContext = {}, options = {}) {
+  const Writer = WRITERS[mapping.method];
+  if (!Writer) {
+    throw new Error(`Unsupported write method "${mapping.method}" for table ${mapping.table}`);
+  }
+  if (options.dryRun) {
+    return new DryRunWriter(supabaseClient, mapping, conflictKey, searchContext);
+  }
+  return new Writer(supabaseClient, mapping, conflictKey, searchContext, options);
+}
+
+module.exports = {
+  MISSING_ROW_ACTIONS,
+  RESUMABLE_METHODS,
+  VALIDATION_ERROR_CODE,
+  WRITE_METHODS,
+  createWriter
+};
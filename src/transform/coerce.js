@@ -0,0 +1,303 @@
+/**
+ * Converts NetSuite display values to typed values.
+ *
+ * Saved searches return values the way the account displays them: "$1,234.56",
+ * "(123.45)" for negative amounts, "12.5%", "4/17/25", "T"/"F" and "- None -" for
+ * empty list fields. Every coercer returns { value, error }: empty values (including
+ * "- None -") give { value: null, error: null }, and values that cannot be read give
+ * { value: null, error: "..." } instead of silently turning into null, so the caller
+ * can report them.
+ *
+ * Options shared by the coercers:
+ *   dateFormat       - the account's date format preference, e.g. "M/D/YYYY" (default),
+ *                      "D/M/YYYY", "YYYY/M/D", "D.M.YYYY" or "D-Mon-YYYY"; two-digit
+ *                      years are read as 1970-2069
+ *   decimalSeparator - "." (default) or ",", from the number format preference
+ */
+
+const DATE_FORMATS = ['M/D/YYYY', 'D/M/YYYY', 'YYYY/M/D', 'D.M.YYYY', 'D-Mon-YYYY'];
+
+const DECIMAL_SEPARATORS = ['.', ','];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const TRUE_VALUES = ['t', 'true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['f', 'false', 'no', 'n', '0'];
+
+// Currency symbols and ISO codes NetSuite puts around amounts. Only these are stripped,
+// so a document number such as "INV-12" is not read as -12
+const CURRENCY_SYMBOLS = /^[$€£¥₹]/;
+const CURRENCY_CODES = ['AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'DKK', 'EUR', 'GBP', 'HKD', 'INR', 'JPY', 'MXN', 'NOK', 'NZD', 'SEK', 'SGD', 'USD', 'ZAR'];
+const CURRENCY_CODE_PATTERN = new RegExp(`^(${CURRENCY_CODES.join('|')})\\s*|\\s*(${CURRENCY_CODES.join('|')})$`, 'g');
+
+// Digits with optional thousands separators in groups of three, and an optional fraction
+const GROUPED_NUMBER_PATTERNS = {
+  dot: /^(\d+|\d{1,3}([,'’]\d{3})+)?(\.\d*)?$/,
+  comma: /^(\d+|\d{1,3}([.'’]\d{3})+)?(,\d*)?$/
+};
+
+/**
+ * Reads the default formats from the environment
+ * @returns {{dateFormat: string, decimalSeparator: string}} The defaults
+ */
+function getDefaultFormats() {
+  return {
+    dateFormat: process.env.NS_DATE_FORMAT || 'M/D/YYYY',
+    decimalSeparator: process.env.NS_DECIMAL_SEPARATOR || '.'
+  };
+}
+
+/**
+ * Checks whether a value counts as empty: null, blank, or NetSuite's "- None -"
+ * @param {*} value - The raw value
+ * @returns {boolean} Whether the value is empty
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed === '' || /^-\s*none\s*-$/i.test(trimmed);
+}
+
+const ok = value => ({ value, error: null });
+const fail = (value, expected) => ({ value: null, error: `${JSON.stringify(value)} is not ${expected}` });
+
+/**
+ * Reads an amount: a currency symbol or code, thousands separators, a leading sign and
+ * accounting negatives ("(123.45)") are accepted; anything else is an error
+ * @param {*} value - The raw value
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: number|null, error: string|null}} The number
+ */
+function coerceNumber(value, options = {}) {
+  if (isEmptyValue(value)) return ok(null);
+  if (typeof value === 'number') return Number.isFinite(value) ? ok(value) : fail(value, 'a finite number');
+
+  const decimalSeparator = options.decimalSeparator || getDefaultFormats().decimalSeparator;
+  let text = String(value).trim().replace(CURRENCY_CODE_PATTERN, '').replace(/\s+/g, '');
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  // The sign may come before or after the currency symbol: "-$12" or "$-12"
+  const readSign = () => {
+    if (/^[-+]/.test(text)) {
+      if (text[0] === '-') negative = !negative;
+      text = text.slice(1);
+      return true;
+    }
+    return false;
+  };
+  const signed = readSign();
+  text = text.replace(CURRENCY_SYMBOLS, '');
+  if (!signed) {
+    readSign();
+  }
+
+  // Thousands separators are whatever the decimal separator is not, and group three digits
+  const pattern = decimalSeparator === ',' ? GROUPED_NUMBER_PATTERNS.comma : GROUPED_NUMBER_PATTERNS.dot;
+  if (!pattern.test(text) || !/\d/.test(text)) {
+    return fail(value, 'a number');
+  }
+  text = text.replace(decimalSeparator === ',' ? /[.'’]/g : /[,'’]/g, '');
+  if (decimalSeparator === ',') {
+    text = text.replace(',', '.');
+  }
+
+  const number = parseFloat(text);
+  return ok(negative ? -number : number);
+}
+
+/**
+ * Reads a whole number, such as a quantity or an internal ID
+ * @param {*} value - The raw value
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: number|null, error: string|null}} The integer
+ */
+function coerceInteger(value, options = {}) {
+  const result = coerceNumber(value, options);
+  if (result.error || result.value === null) {
+    return result.error ? fail(value, 'an integer') : result;
+  }
+  return Number.isSafeInteger(result.value) ? result : fail(value, 'an integer');
+}
+
+/**
+ * Reads a percentage as the number shown: "12.5%" gives 12.5
+ * @param {*} value - The raw value
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: number|null, error: string|null}} The percentage
+ */
+function coercePercent(value, options = {}) {
+  if (isEmptyValue(value)) return ok(null);
+  const text = typeof value === 'string' ? value.trim().replace(/%$/, '') : value;
+  const result = coerceNumber(text, options);
+  return result.error ? fail(value, 'a percentage') : result;
+}
+
+/**
+ * Reads a boolean: "T"/"F", "Yes"/"No", "Y"/"N", "true"/"false" and 1/0
+ * @param {*} value - The raw value
+ * @returns {{value: boolean|null, error: string|null}} The boolean
+ */
+function coerceBoolean(value) {
+  if (value === true || value === false) return ok(value);
+  if (isEmptyValue(value)) return ok(null);
+
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return ok(true);
+  if (FALSE_VALUES.includes(normalized)) return ok(false);
+  return fail(value, 'a boolean');
+}
+
+/**
+ * Builds an ISO date from its parts, checking that the day exists
+ * @param {number} year - The year; two-digit years are read as 1970-2069
+ * @param {number} month - The month, 1-12
+ * @param {number} day - The day of the month
+ * @returns {string|null} The date as YYYY-MM-DD, or null when it does not exist
+ */
+function toIsoDate(year, month, day) {
+  const fullYear = year < 100 ? (year < 70 ? 2000 + year : 1900 + year) : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Splits a date in the given format into its parts
+ * @param {string} text - The date text, without a time
+ * @param {string} dateFormat - One of DATE_FORMATS
+ * @returns {{year: number, month: number, day: number}|null} The parts, or null when the text does not match
+ */
+function parseDateParts(text, dateFormat) {
+  // ISO dates are accepted whatever the account format is
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+  switch (dateFormat) {
+    case 'D-Mon-YYYY':
+      match = text.match(/^(\d{1,2})[- ]([A-Za-z]{3})[a-z]*[- ](\d{2}|\d{4})$/);
+      if (!match || !MONTH_NAMES.includes(match[2].toLowerCase())) return null;
+      return { year: +match[3], month: MONTH_NAMES.indexOf(match[2].toLowerCase()) + 1, day: +match[1] };
+    case 'YYYY/M/D':
+      match = text.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+      return match ? { year: +match[1], month: +match[2], day: +match[3] } : null;
+    case 'D.M.YYYY':
+      match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+      return match ? { year: +match[3], month: +match[2], day: +match[1] } : null;
+    case 'D/M/YYYY':
+      match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+      return match ? { year: +match[3], month: +match[2], day: +match[1] } : null;
+    case 'M/D/YYYY':
+    default:
+      match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+      return match ? { year: +match[3], month: +match[1], day: +match[2] } : null;
+  }
+}
+
+/**
+ * Reads a date in the account's date format
+ * @param {*} value - The raw value
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: string|null, error: string|null}} The date as YYYY-MM-DD
+ */
+function coerceDate(value, options = {}) {
+  if (isEmptyValue(value)) return ok(null);
+
+  const dateFormat = options.dateFormat || getDefaultFormats().dateFormat;
+  // A datetime's date part is the date
+  const text = String(value).trim().split(/[ T]/)[0];
+  const parts = parseDateParts(text, dateFormat);
+  const date = parts && toIsoDate(parts.year, parts.month, parts.day);
+
+  return date ? ok(date) : fail(value, `a date (${dateFormat})`);
+}
+
+/**
+ * Reads a date and time such as "4/17/2025 3:45 pm" or "4/17/2025 15:45:10".
+ * NetSuite sends datetimes in the user's time zone without an offset, so the result
+ * has none either; ISO timestamps with an offset keep it.
+ * @param {*} value - The raw value
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: string|null, error: string|null}} The datetime as YYYY-MM-DDTHH:MM:SS
+ */
+function coerceDatetime(value, options = {}) {
+  if (isEmptyValue(value)) return ok(null);
+
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) {
+    return Number.isNaN(Date.parse(text)) ? fail(value, 'a datetime') : ok(text);
+  }
+
+  const match = text.match(/^(\S+)(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?)?$/i);
+  if (!match) return fail(value, 'a datetime');
+
+  const date = coerceDate(match[1], options);
+  if (date.error) return fail(value, 'a datetime');
+
+  let hours = match[2] === undefined ? 0 : +match[2];
+  const minutes = match[3] === undefined ? 0 : +match[3];
+  const seconds = match[4] === undefined ? 0 : +match[4];
+  const meridiem = match[5] ? match[5].replace(/\./g, '').toLowerCase() : null;
+
+  if (meridiem && (hours < 1 || hours > 12)) return fail(value, 'a datetime');
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59 || seconds > 59) return fail(value, 'a datetime');
+
+  const pad = number => String(number).padStart(2, '0');
+  return ok(`${date.value}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`);
+}
+
+/**
+ * Reads text; "- None -" counts as empty
+ * @param {*} value - The raw value
+ * @returns {{value: *, error: string|null}} The value unchanged, or null when empty
+ */
+function coerceText(value) {
+  if (isEmptyValue(value)) return ok(null);
+  return ok(value);
+}
+
+// Coercer for each mapping column type
+const COERCERS = {
+  id: coerceInteger,
+  integer: coerceInteger,
+  number: coerceNumber,
+  percent: coercePercent,
+  date: coerceDate,
+  datetime: coerceDatetime,
+  boolean: coerceBoolean,
+  text: coerceText
+};
+
+/**
+ * Converts a raw NetSuite value to a mapping column type
+ * @param {*} value - The raw value
+ * @param {string} type - A key of COERCERS; unknown types are read as text
+ * @param {Object} [options] - See the module comment
+ * @returns {{value: *, error: string|null}} The typed value, or null and what failed
+ */
+function coerce(value, type, options = {}) {
+  return (COERCERS[type] || coerceText)(value, options);
+}
+
+module.exports = {
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  coerce,
+  coerceBoolean,
+  coerceDate,
+  coerceDatetime,
+  coerceInteger,
+  coerceNumber,
+  coercePercent,
+  coerceText,
+  isEmptyValue
+};
@@ -0,0 +1,110 @@
+/**
+ * Removes rows that repeat a conflict key before they are written.
+ *
+ * Detailed searches can return the same key twice (joined lines), and Postgres
+ * rejects an upsert that touches a row twice. The mapping's "duplicateKeys" policy decides which row is kept:
+ *   lastWins  - the last row with the key (default, what sequential upserts did)
+ *   firstWins - the first row with the key
+ *   error     - fail the mapping on the first duplicate
+ *
+ * Keys are tracked across the pages of a run, so a key repeated on a later page is
+ * counted too; under lastWins the later page simply overwrites the earlier row.
+ */
+
+const { getKeyString, hasKey } = require('../supabase/keys');
+
+const DUPLICATE_KEY_POLICIES = ['lastWins', 'firstWins', 'error'];
+
+// Number of duplicate keys kept for the log
+const SAMPLE_SIZE = 10;
+
+class DuplicateKeyFilter {
+  /**
+   * @param {string} table - The destination table, for messages
+   * @param {Array<string>} keyColumns - The conflict key columns
+   * @param {string} [policy='lastWins'] - One of DUPLICATE_KEY_POLICIES
+   */
+  constructor(table, keyColumns, policy = 'lastWins') {
+    this.table = table;
+    this.keyColumns = keyColumns;
+    this.policy = policy;
+    this.seenKeys = new Set();
+    this.duplicates = 0;
+    this.sampleKeys = [];
+    this.sampleTruncated = false;
+  }
+
+  /**
+   * Records a duplicate key, or fails under the error policy
+   * @param {string} key - The key string
+   */
+  addDuplicate(key) {
+    if (this.policy === 'error') {
+      throw new Error(`Duplicate conflict key ${key} (${this.keyColumns.join(', ')}) in the rows for ${this.table}`);
+    }
+
+    this.duplicates++;
+    if (this.sampleKeys.includes(key)) return;
+    if (this.sampleKeys.length < SAMPLE_SIZE) {
+      this.sampleKeys.push(key);
+    } else {
+      this.sampleTruncated = true;
+    }
+  }
+
+  /**
+   * Removes the rows of one page that repeat a key, following the policy
+   * @param {Array} rows - Processed rows
+   * @param {Array} [sourceRecords] - Raw NetSuite records, aligned with the rows
+   * @returns {{rows: Array, sourceRecords: Array, duplicates: number}} The remaining rows and
+   *   their raw records, and the number of duplicates found on this page
+   */
+  filter(rows, sourceRecords = []) {
+    const before = this.duplicates;
+    const keptIndexes = new Map(); // key -> index of the row kept for it on this page
+    const dropped = new Set();
+
+    rows.forEach((row, index) => {
+      // Rows without a complete key are left for the writer to report
+      if (!hasKey(row, this.keyColumns)) return;
+      const key = getKeyString(row, this.keyColumns);
+
+      if (keptIndexes.has(key)) {
+        this.addDuplicate(key);
+        if (this.policy === 'lastWins') {
+          dropped.add(keptIndexes.get(key));
+          keptIndexes.set(key, index);
+        } else {
+          dropped.add(index);
+        }
+        return;
+      }
+
+      if (this.seenKeys.has(key)) {
+        this.addDuplicate(key);
+        if (this.policy === 'firstWins') {
+          dropped.add(index);
+          return;
+        }
+      }
+
+      keptIndexes.set(key, index);
+      this.seenKeys.add(key);
+    });
+
+    if (dropped.size === 0) {
+      return { rows, sourceRecords, duplicates: this.duplicates - before };
+    }
+
+    return {
+      rows: rows.filter((row, index) => !dropped.has(index)),
+      sourceRecords: sourceRecords.filter((record, index) => !dropped.has(index)),
+      duplicates: this.duplicates - before
+    };
+  }
+}
+
+module.exports = {
+  DUPLICATE_KEY_POLICIES,
+  DuplicateKeyFilter
+};
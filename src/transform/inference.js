@@ -0,0 +1,206 @@
+/**
+ * Infers mapping column specs from a sample of raw saved search rows, so a new
+ * saved search can be scaffolded instead of written by hand.
+ */
+
+const { COLUMN_TYPES } = require('./rowBuilder');
+const { coerceDate, coerceDatetime, coerceNumber, coercePercent, isEmptyValue } = require('./coerce');
+
+// Values accepted as booleans; 1/0 and Y/N are left to the number and text types
+const BOOLEAN_VALUES = ['t', 'f', 'true', 'false', 'yes', 'no'];
+
+// Field names that hold NetSuite internal IDs
+const ID_FIELD_PATTERN = /(^|_)(internal_)?id$/i;
+
+// Field names that identify a line within a transaction
+const LINE_FIELDS = ['line_id', 'line_number', 'line'];
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Values with a time of day, e.g. "4/1/2025 3:45 pm" or "2025-04-01T15:45:00Z"
+const TIME_PATTERN = /[ T]\d{1,2}:\d{2}/;
+
+/**
+ * Converts a field name to a snake_case column name
+ * @param {string} field - The raw field name
+ * @returns {string} The column name
+ */
+function toColumnName(field) {
+  const name = String(field)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  // Postgres identifiers cannot start with a digit unless quoted
+  return /^\d/.test(name) ? `col_${name}` : name || 'column';
+}
+
+/**
+ * Infers the column type of a field from its sample values
+ * @param {string} field - The raw field name
+ * @param {Array} values - Sample values of the field
+ * @returns {string} One of COLUMN_TYPES
+ */
+function inferColumnType(field, values) {
+  const present = values
+    .filter(value => !isEmptyValue(value))
+    .map(value => (typeof value === 'string' ? value.trim() : value));
+
+  if (present.length === 0) return 'text';
+
+  if (present.every(value => typeof value === 'boolean' || BOOLEAN_VALUES.includes(String(value).toLowerCase()))) {
+    return 'boolean';
+  }
+
+  const strings = present.map(String);
+
+  if (ID_FIELD_PATTERN.test(field) && strings.every(value => INTEGER_PATTERN.test(value))) {
+    return 'id';
+  }
+
+  // Read with the account formats from NS_DATE_FORMAT and NS_DECIMAL_SEPARATOR
+  if (strings.every(value => value.endsWith('%') && !coercePercent(value).error)) {
+    return 'percent';
+  }
+
+  if (strings.every(value => !coerceNumber(value).error)) {
+    return 'number';
+  }
+
+  if (strings.every(value => !TIME_PATTERN.test(value) && !coerceDate(value).error)) {
+    return 'date';
+  }
+
+  if (strings.every(value => !coerceDatetime(value).error)) {
+    return 'datetime';
+  }
+
+  return 'text';
+}
+
+/**
+ * Picks the conflict key for the inferred columns. A "<record>_internal_id" field whose
+ * sample values are unique is used as is; when it repeats and the rows carry a line field,
+ * a "pkey" column built from both is added, as for the detailed transaction tables.
+ * @param {Array} columns - Inferred column specs
+ * @param {Array} records - Sample records
+ * @returns {{conflictKey: string|null, keyColumn: Object|null, warning: string|null}} The key, an extra key column to add, and a note
+ */
+function inferConflictKey(columns, records) {
+  const idColumns = columns.filter(spec => spec.type === 'id' && /_internal_id$/.test(spec.column));
+  if (idColumns.length === 0) {
+    return { conflictKey: null, keyColumn: null, warning: 'No *_internal_id column found: set conflictKey by hand' };
+  }
+
+  const isUnique = spec => {
+    const values = records.map(record => record[spec.source]);
+    return values.every(value => value !== undefined && value !== null && value !== '')
+      && new Set(values.map(String)).size === values.length;
+  };
+
+  const uniqueColumn = idColumns.find(isUnique);
+  if (uniqueColumn) {
+    return { conflictKey: uniqueColumn.column, keyColumn: null, warning: null };
+  }
+
+  const primary = idColumns[0];
+  const lineColumn = columns.find(spec => LINE_FIELDS.includes(spec.column));
+  if (lineColumn) {
+    return {
+      conflictKey: 'pkey',
+      keyColumn: {
+        column: 'pkey',
+        type: 'text',
+        required: true,
+        key: [primary.source, lineColumn.source]
+      },
+      warning: null
+    };
+  }
+
+  return {
+    conflictKey: primary.column,
+    keyColumn: null,
+    warning: `${primary.column} repeats in the sample and no line field was found: check conflictKey`
+  };
+}
+
+/**
+ * Infers column specs from sample records
+ * @param {Array} records - Sample raw records
+ * @returns {Array} Column specs in the order the fields first appear
+ */
+function inferColumns(records) {
+  const fields = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(field => {
+      if (!fields.includes(field)) fields.push(field);
+    });
+  });
+
+  const usedNames = new Set();
+  return fields.map(field => {
+    let column = toColumnName(field);
+    // Two fields can normalize to the same name ("Amount" and "amount")
+    for (let suffix = 2; usedNames.has(column); suffix++) {
+      column = `${toColumnName(field)}_${suffix}`;
+    }
+    usedNames.add(column);
+
+    const type = inferColumnType(field, records.map(record => record[field]));
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Inferred unsupported type ${type} for ${field}`);
+    }
+
+    return { source: field, column, type };
+  });
+}
+
+/**
+ * Builds a searchToTable.json mapping entry from sample records
+ * @param {Object} options - Scaffolding options
+ * @param {string} options.searchId - The internal ID of the Saved Search
+ * @param {string} options.table - Destination table
+ * @param {string} [options.name] - Display name of the mapping
+ * @param {string} [options.type] - NetSuite record type, e.g. "Transaction"
+ * @param {Array} options.records - Sample raw records
+ * @returns {{mapping: Object, warnings: Array<string>}} The mapping entry and anything to check by hand
+ */
+function buildMappingEntry({ searchId, table, name, type, records }) {
+  if (!records || records.length === 0) {
+    throw new Error(`Saved Search ${searchId} returned no rows to infer columns from`);
+  }
+
+  const columns = inferColumns(records);
+  const { conflictKey, keyColumn, warning } = inferConflictKey(columns, records);
+  const warnings = warning ? [warning] : [];
+
+  if (keyColumn) {
+    columns.push(keyColumn);
+  } else if (conflictKey) {
+    columns.find(spec => spec.column === conflictKey).required = true;
+  }
+
+  return {
+    mapping: {
+      searchId: String(searchId),
+      type: type || 'Transaction',
+      name: name || `Saved Search ${searchId}`,
+      table,
+      method: 'upsert',
+      conflictKey: conflictKey || 'id',
+      dateWindow: 'All-Time',
+      incremental: false,
+      columns
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  buildMappingEntry,
+  inferColumnType,
+  inferColumns,
+  toColumnName
+};
@@ -0,0 +1,172 @@
+/**
+ * Builds Supabase rows from raw NetSuite records using the declarative
+ * column specs in src/mappings/searchToTable.json.
+ *
+ * Each column spec has the shape:
+ *   {
+ *     "source": "field" | ["field", "fallback_field"],
+ *     "column": "destination_column",
+ *     "type": "id" | "integer" | "number" | "percent" | "date" | "datetime" | "text" | "boolean",
+ *     "default": <value>,
+ *     "required": true | false,
+ *     "key": ["field", "other_field"],
+ *     "keyFormat": "composite" | "hash",
+ *     "template": "{field}_{other_field}"
+ *   }
+ *
+ * Key columns ("key", or a "template" used when the source is empty) are built from the
+ * record's natural-key fields by src/transform/syntheticKeys.js; records that cannot
+ * produce their key are rejected like records missing a required column.
+ *
+ * Values are converted by src/transform/coerce.js using the mapping's "dateFormat" and
+ * "decimalSeparator" (or NS_DATE_FORMAT / NS_DECIMAL_SEPARATOR). Values that cannot be
+ * converted become null and are reported with the built rows.
+ */
+
+const { coerce } = require('./coerce');
+const { buildSyntheticKey, fillKeyTemplate, normalizeKeyPart } = require('./syntheticKeys');
+
+// Supported column types
+const COLUMN_TYPES = ['id', 'integer', 'number', 'percent', 'date', 'datetime', 'text', 'boolean'];
+
+/**
+ * Reads the value formats of a mapping
+ * @param {Object} mapping - The mapping configuration
+ * @returns {{dateFormat: string|undefined, decimalSeparator: string|undefined}} The formats;
+ *   undefined ones fall back to the environment defaults
+ */
+function getValueFormats(mapping) {
+  return { dateFormat: mapping.dateFormat, decimalSeparator: mapping.decimalSeparator };
+}
+
+/**
+ * Converts a raw NetSuite value to the given column type
+ * @param {*} value - The raw value from NetSuite
+ * @param {string} type - One of COLUMN_TYPES
+ * @param {Object} [formats] - The mapping's value formats
+ * @returns {{value: *, error: string|null}} The converted value (null, or '' for text, when empty)
+ *   and why the value could not be converted
+ */
+function coerceValue(value, type, formats = {}) {
+  const result = coerce(value, type, formats);
+  if (type === 'text' || !COLUMN_TYPES.includes(type)) {
+    return { value: result.value === null ? '' : result.value, error: null };
+  }
+  return result;
+}
+
+/**
+ * Returns the first non-empty source value for a column spec
+ * @param {Object} record - Raw NetSuite record
+ * @param {Object} spec - Column spec
+ * @returns {*} The raw value, or undefined when every source is empty
+ */
+function readSource(record, spec) {
+  const sources = Array.isArray(spec.source) ? spec.source : [spec.source || spec.column];
+
+  for (const source of sources) {
+    const value = record[source];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Resolves the value of one column for a record
+ * @param {Object} record - Raw NetSuite record
+ * @param {Object} spec - Column spec
+ * @param {Object} formats - The mapping's value formats
+ * @returns {{value: *, error: string|null, emptyKeyFields: Array<string>}} The destination value,
+ *   why the source value could not be converted, and the empty fields of a key column without a key
+ */
+function resolveColumn(record, spec, formats) {
+  if (Array.isArray(spec.key)) {
+    // A key the search supplies wins over the one built from the natural-key fields
+    const supplied = spec.source !== undefined ? normalizeKeyPart(readSource(record, spec)) : null;
+    if (supplied !== null) {
+      return { value: supplied, error: null, emptyKeyFields: [] };
+    }
+
+    const { value, emptyFields } = buildSyntheticKey(record, spec.key, spec.keyFormat);
+    return { value, error: null, emptyKeyFields: emptyFields };
+  }
+
+  const { value, error } = coerceValue(readSource(record, spec), spec.type, formats);
+
+  if (value !== null && value !== '') {
+    return { value, error, emptyKeyFields: [] };
+  }
+
+  if (spec.template) {
+    const { value: key, emptyFields } = fillKeyTemplate(spec.template, record);
+    return { value: key, error, emptyKeyFields: emptyFields };
+  }
+
+  if (spec.default !== undefined) {
+    return { value: spec.default, error, emptyKeyFields: [] };
+  }
+
+  return { value, error, emptyKeyFields: [] };
+}
+
+/**
+ * Builds destination rows for a mapping from raw NetSuite records
+ * @param {Object} mapping - The mapping configuration with a columns array
+ * @param {Array} rawRecords - Raw records from NetSuite
+ * @param {number} [rowOffset=0] - Number of records in earlier pages of the same search
+ * @returns {{rows: Array, sourceRecords: Array, rejected: Array, coercionErrors: Array}} Built rows,
+ *   the raw record each row was built from, records rejected for missing required columns or keys
+ *   ({record, missing, emptyKeyFields}), and the values that could not be converted ({rowNumber, column, value, error})
+ */
+function buildRows(mapping, rawRecords, rowOffset = 0) {
+  const timestampColumn = mapping.timestampColumn === undefined ? 'timestamp' : mapping.timestampColumn;
+  const formats = getValueFormats(mapping);
+  const rows = [];
+  const sourceRecords = [];
+  const rejected = [];
+  const coercionErrors = [];
+
+  rawRecords.forEach((record, index) => {
+    const row = {};
+    const missing = [];
+    const emptyKeyFields = [];
+    const rowNumber = rowOffset + index + 1;
+
+    mapping.columns.forEach(spec => {
+      const resolved = resolveColumn(record, spec, formats);
+      if (resolved.error) {
+        coercionErrors.push({ rowNumber, column: spec.column, value: readSource(record, spec), error: resolved.error });
+      }
+      const isEmpty = resolved.value === null || resolved.value === undefined || resolved.value === '';
+      // A key column without a key cannot fall back to anything
+      if (isEmpty && (spec.required || resolved.emptyKeyFields.length > 0)) {
+        missing.push(spec.column);
+        emptyKeyFields.push(...resolved.emptyKeyFields.filter(field => !emptyKeyFields.includes(field)));
+      }
+      row[spec.column] = resolved.value;
+    });
+
+    if (missing.length > 0) {
+      rejected.push({ record, missing, emptyKeyFields });
+      return;
+    }
+
+    if (timestampColumn) {
+      row[timestampColumn] = new Date().toISOString();
+    }
+
+    rows.push(row);
+    sourceRecords.push(record);
+  });
+
+  return { rows, sourceRecords, rejected, coercionErrors };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  buildRows,
+  coerceValue
+};
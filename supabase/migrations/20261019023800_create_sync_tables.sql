@@ -0,0 +1,230 @@
+-- Generated by src/generate-migrations.js from src/mappings/searchToTable.json
+-- Review before applying.
+
+-- Wholesale Cash Sale Summary *Rep Focus* DND (cash_sales)
+create table if not exists "public"."cash_sales" (
+  "cash_sale_internal_id" bigint not null,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "created_from" text,
+  "name" text,
+  "amount" numeric,
+  "status" text,
+  "customer_internal_id" bigint,
+  "sales_order_internal_id" bigint,
+  "partner_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("cash_sale_internal_id")
+);
+create index if not exists "cash_sales_customer_internal_id_idx" on "public"."cash_sales" ("customer_internal_id");
+create index if not exists "cash_sales_sales_order_internal_id_idx" on "public"."cash_sales" ("sales_order_internal_id");
+create index if not exists "cash_sales_partner_internal_id_idx" on "public"."cash_sales" ("partner_internal_id");
+create index if not exists "cash_sales_timestamp_idx" on "public"."cash_sales" ("timestamp");
+
+-- Wholesale Credit Memo Summary *Rep Focus* DND (credit_memos)
+create table if not exists "public"."credit_memos" (
+  "credit_memo_internal_id" bigint not null,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "created_from" text,
+  "name" text,
+  "amount" numeric,
+  "status" text,
+  "customer_internal_id" bigint,
+  "sales_order_internal_id" text,
+  "partner_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("credit_memo_internal_id")
+);
+create index if not exists "credit_memos_customer_internal_id_idx" on "public"."credit_memos" ("customer_internal_id");
+create index if not exists "credit_memos_partner_internal_id_idx" on "public"."credit_memos" ("partner_internal_id");
+create index if not exists "credit_memos_timestamp_idx" on "public"."credit_memos" ("timestamp");
+
+-- Wholesale Customers *Rep Focus* DND (customers)
+create table if not exists "public"."customers" (
+  "customer_internal_id" bigint not null,
+  "number" bigint,
+  "company_name" text,
+  "terms" text,
+  "partner" text,
+  "wholesale_customer_segment" text,
+  "price_level" text,
+  "account_rating" text,
+  "email" text,
+  "phone" text,
+  "default_billing_address" text,
+  "default_shipping_address" text,
+  "tw_email_of_primary_contact" text,
+  "tw_email_of_billing_contact" text,
+  "tw_email_of_billing_contact_2" text,
+  "primary_currency" text,
+  "hold_orders_for_cc_info" text,
+  "ar_red_flag" text,
+  "partner_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("customer_internal_id")
+);
+create index if not exists "customers_partner_internal_id_idx" on "public"."customers" ("partner_internal_id");
+create index if not exists "customers_timestamp_idx" on "public"."customers" ("timestamp");
+
+-- Wholesale Invoices Detailed *Rep Focus* DND (invoices_detailed)
+create table if not exists "public"."invoices_detailed" (
+  "invoice_internal_id" bigint,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "name" text,
+  "status" text,
+  "item_name" text,
+  "design" text,
+  "class" text,
+  "upc_code" text,
+  "quantity" bigint,
+  "amount" numeric,
+  "customer_internal_id" bigint,
+  "sales_order_number" text,
+  "sales_order_internal_id" bigint,
+  "pkey" text not null,
+  "sku" text,
+  "timestamp" timestamptz,
+  primary key ("pkey")
+);
+create index if not exists "invoices_detailed_invoice_internal_id_idx" on "public"."invoices_detailed" ("invoice_internal_id");
+create index if not exists "invoices_detailed_customer_internal_id_idx" on "public"."invoices_detailed" ("customer_internal_id");
+create index if not exists "invoices_detailed_sales_order_internal_id_idx" on "public"."invoices_detailed" ("sales_order_internal_id");
+create index if not exists "invoices_detailed_timestamp_idx" on "public"."invoices_detailed" ("timestamp");
+
+-- Wholesale Invoices Summary *Rep Focus* DND (invoices)
+create table if not exists "public"."invoices" (
+  "invoice_internal_id" bigint not null,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "created_from" text,
+  "name" text,
+  "amount" numeric,
+  "status" text,
+  "customer_internal_id" bigint,
+  "sales_order_internal_id" bigint,
+  "payment_link" text,
+  "partner_internal_id" bigint,
+  "due_date" date,
+  "timestamp" timestamptz,
+  primary key ("invoice_internal_id")
+);
+create index if not exists "invoices_customer_internal_id_idx" on "public"."invoices" ("customer_internal_id");
+create index if not exists "invoices_sales_order_internal_id_idx" on "public"."invoices" ("sales_order_internal_id");
+create index if not exists "invoices_partner_internal_id_idx" on "public"."invoices" ("partner_internal_id");
+create index if not exists "invoices_timestamp_idx" on "public"."invoices" ("timestamp");
+
+-- Wholesale Item Fulfillments Detailed *Rep Focus* DND (item_fulfillments_detailed)
+create table if not exists "public"."item_fulfillments_detailed" (
+  "item_fulfillment_internal_id" bigint,
+  "date" date,
+  "document_number" text,
+  "name" text,
+  "status" text,
+  "item_name" text,
+  "design" text,
+  "class" text,
+  "upc_code" text,
+  "quantity" bigint,
+  "pkey" text not null,
+  "sku" text,
+  "customer_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("pkey")
+);
+create index if not exists "item_fulfillments_detailed_item_fulfillment_internal_id_idx" on "public"."item_fulfillments_detailed" ("item_fulfillment_internal_id");
+create index if not exists "item_fulfillments_detailed_customer_internal_id_idx" on "public"."item_fulfillments_detailed" ("customer_internal_id");
+create index if not exists "item_fulfillments_detailed_timestamp_idx" on "public"."item_fulfillments_detailed" ("timestamp");
+
+-- Wholesale Item Fulfillments Summary *Rep Focus* DND (item_fulfillments)
+create table if not exists "public"."item_fulfillments" (
+  "item_fulfillment_internal_id" bigint not null,
+  "date" date,
+  "document_number" text,
+  "created_from" text,
+  "nuorder_order_number" text,
+  "po_check_number" text,
+  "name" text,
+  "amount" numeric,
+  "status" text,
+  "tracking_numbers" text,
+  "sales_order_internal_id" bigint,
+  "customer_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("item_fulfillment_internal_id")
+);
+create index if not exists "item_fulfillments_sales_order_internal_id_idx" on "public"."item_fulfillments" ("sales_order_internal_id");
+create index if not exists "item_fulfillments_customer_internal_id_idx" on "public"."item_fulfillments" ("customer_internal_id");
+create index if not exists "item_fulfillments_timestamp_idx" on "public"."item_fulfillments" ("timestamp");
+
+-- Wholesale Partners *Rep Focus* DND (partners)
+create table if not exists "public"."partners" (
+  "partner_internal_id" bigint not null,
+  "name" text,
+  "email" text,
+  "phone" text,
+  "office_phone" text,
+  "fax" text,
+  "code" text,
+  "alt_email" text,
+  "timestamp" timestamptz,
+  primary key ("partner_internal_id")
+);
+create index if not exists "partners_timestamp_idx" on "public"."partners" ("timestamp");
+
+-- Wholesale Sales Orders Detailed *Rep Focus* DND (sales_orders_detailed)
+create table if not exists "public"."sales_orders_detailed" (
+  "sales_order_internal_id" bigint,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "customer_name" text,
+  "status" text,
+  "item_name" text,
+  "design" text,
+  "class" text,
+  "upc_code" text,
+  "quantity" bigint,
+  "amount" numeric,
+  "line_id" bigint,
+  "customer_internal_id" bigint,
+  "pkey" text not null,
+  "sku" text,
+  "timestamp" timestamptz,
+  primary key ("pkey"),
+  constraint "sales_orders_detailed_sales_order_internal_id_line_id_key" unique ("sales_order_internal_id", "line_id")
+);
+create index if not exists "sales_orders_detailed_sales_order_internal_id_idx" on "public"."sales_orders_detailed" ("sales_order_internal_id");
+create index if not exists "sales_orders_detailed_customer_internal_id_idx" on "public"."sales_orders_detailed" ("customer_internal_id");
+create index if not exists "sales_orders_detailed_timestamp_idx" on "public"."sales_orders_detailed" ("timestamp");
+
+-- Wholesale Sales Orders Summary *Rep Focus* DND (sales_orders)
+create table if not exists "public"."sales_orders" (
+  "sales_order_internal_id" bigint not null,
+  "date" date,
+  "document_number" text,
+  "po_number" text,
+  "nuorder_order_number" text,
+  "customer_name" text,
+  "amount" numeric,
+  "status" text,
+  "customer_internal_id" bigint,
+  "ship_date" date,
+  "ship_date_end" date,
+  "partner_internal_id" bigint,
+  "timestamp" timestamptz,
+  primary key ("sales_order_internal_id")
+);
+create index if not exists "sales_orders_customer_internal_id_idx" on "public"."sales_orders" ("customer_internal_id");
+create index if not exists "sales_orders_partner_internal_id_idx" on "public"."sales_orders" ("partner_internal_id");
+create index if not exists "sales_orders_timestamp_idx" on "public"."sales_orders" ("timestamp");
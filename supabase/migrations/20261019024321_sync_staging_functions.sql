@@ -0,0 +1,108 @@
+-- Staging functions for the "swap" write method.
+--
+-- A swap run loads every record into <table>_staging, then sync_swap_staging
+-- replaces the live rows with the staged ones in one transaction: readers keep
+-- seeing the previous rows until it commits, and a failure leaves them untouched.
+-- sync_drop_staging discards the staged rows of a run that must not be swapped in.
+-- The functions are only callable with the service role key.
+--
+-- "like ... including all" copies no row level security, and Supabase's default
+-- privileges on public give anon and authenticated access to new tables, so every
+-- staging table gets row level security and loses those grants whenever it is
+-- prepared: staged rows stay private even when a swap fails before the truncate.
+
+create or replace function public.sync_prepare_staging(target_table text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  staging_table text := target_table || '_staging';
+  live_columns text;
+  staging_columns text;
+begin
+  if to_regclass(format('public.%I', target_table)) is null then
+    raise exception 'Table % does not exist', target_table;
+  end if;
+
+  select string_agg(column_name || ' ' || data_type, ', ' order by column_name) into live_columns
+    from information_schema.columns
+    where table_schema = 'public' and table_name = target_table;
+  select string_agg(column_name || ' ' || data_type, ', ' order by column_name) into staging_columns
+    from information_schema.columns
+    where table_schema = 'public' and table_name = staging_table;
+
+  if staging_columns is distinct from live_columns then
+    -- Missing, or left behind by an older version of the live table
+    execute format('drop table if exists public.%I', staging_table);
+    -- Same columns, defaults, constraints and indexes, so duplicate keys are rejected while loading
+    execute format('create table public.%I (like public.%I including all)', staging_table, target_table);
+    notify pgrst, 'reload schema';
+  else
+    execute format('truncate table public.%I', staging_table);
+  end if;
+
+  -- Only the service role, which bypasses row level security, may read or write staged rows
+  execute format('alter table public.%I enable row level security', staging_table);
+  execute format('revoke all on table public.%I from anon, authenticated', staging_table);
+
+  return staging_table;
+end;
+$$;
+
+create or replace function public.sync_swap_staging(target_table text, expected_count bigint)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  staging_table text := target_table || '_staging';
+  column_list text;
+  staged bigint;
+  deleted bigint;
+begin
+  execute format('select count(*) from public.%I', staging_table) into staged;
+  if staged <> expected_count then
+    raise exception 'Staging table % has % rows, expected %', staging_table, staged, expected_count;
+  end if;
+
+  select string_agg(quote_ident(column_name), ', ' order by ordinal_position) into column_list
+    from information_schema.columns
+    where table_schema = 'public' and table_name = target_table and is_generated = 'NEVER';
+
+  -- Blocks other writers, not readers: they see the previous rows until commit
+  execute format('lock table public.%I in exclusive mode', target_table);
+  execute format('delete from public.%I', target_table);
+  get diagnostics deleted = row_count;
+  execute format('insert into public.%I (%s) overriding system value select %s from public.%I',
+    target_table, column_list, column_list, staging_table);
+  execute format('truncate table public.%I', staging_table);
+
+  return json_build_object('deleted', deleted, 'inserted', staged);
+end;
+$$;
+
+create or replace function public.sync_drop_staging(target_table text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if to_regclass(format('public.%I', target_table)) is null then
+    raise exception 'Table % does not exist', target_table;
+  end if;
+
+  execute format('drop table if exists public.%I', target_table || '_staging');
+  notify pgrst, 'reload schema';
+end;
+$$;
+
+revoke execute on function public.sync_prepare_staging(text) from public, anon, authenticated;
+revoke execute on function public.sync_swap_staging(text, bigint) from public, anon, authenticated;
+revoke execute on function public.sync_drop_staging(text) from public, anon, authenticated;
+grant execute on function public.sync_prepare_staging(text) to service_role;
+grant execute on function public.sync_swap_staging(text, bigint) to service_role;
+grant execute on function public.sync_drop_staging(text) to service_role;
@@ -0,0 +1,60 @@
+-- State tables the sync keeps besides the mapped tables:
+--   sync_watermarks   - high-water marks of incremental mappings (SYNC_WATERMARK_TABLE)
+--   sync_dead_letters - rows Postgres rejected or that failed validation (SYNC_DEAD_LETTER_TABLE)
+--   sync_checkpoints  - the last page each mapping run wrote, for --resume (SYNC_CHECKPOINT_TABLE)
+-- The sync writes with the service role key, which bypasses row level security; with
+-- RLS enabled and no policies, the anon and authenticated roles cannot read any of them.
+
+create table if not exists public.sync_watermarks (
+  mapping_key text primary key,
+  watermark timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.sync_dead_letters (
+  id bigint generated always as identity primary key,
+  run_id text not null,
+  target_table text not null,
+  search_id text,
+  method text not null,
+  conflict_key text not null,
+  key_value text,
+  row_data jsonb not null,
+  raw_record jsonb,
+  error_code text,
+  error_message text not null,
+  error_details text,
+  created_at timestamptz not null default now(),
+  replayed_at timestamptz
+);
+create index if not exists sync_dead_letters_pending_idx
+  on public.sync_dead_letters (target_table, key_value)
+  where replayed_at is null;
+
+create table if not exists public.sync_checkpoints (
+  mapping_key text primary key,
+  search_id text not null,
+  run_id text not null,
+  run_started_at timestamptz not null,
+  filters jsonb not null default '{}',
+  page_index integer not null,
+  total_pages integer not null,
+  fingerprint text not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.sync_watermarks enable row level security;
+alter table public.sync_dead_letters enable row level security;
+alter table public.sync_checkpoints enable row level security;
+
+-- Mapped tables created before the generator enabled row level security
+alter table "public"."cash_sales" enable row level security;
+alter table "public"."credit_memos" enable row level security;
+alter table "public"."customers" enable row level security;
+alter table "public"."invoices_detailed" enable row level security;
+alter table "public"."invoices" enable row level security;
+alter table "public"."item_fulfillments_detailed" enable row level security;
+alter table "public"."item_fulfillments" enable row level security;
+alter table "public"."partners" enable row level security;
+alter table "public"."sales_orders_detailed" enable row level security;
+alter table "public"."sales_orders" enable row level security;
@@ -0,0 +1,11 @@
+-- Generated by src/generate-migrations.js from src/mappings/searchToTable.json
+-- Review before applying.
+
+-- Wholesale Invoices Detailed *Rep Focus* DND (invoices_detailed)
+alter table "public"."invoices_detailed" add column if not exists "line_id" bigint;
+
+-- Wholesale Item Fulfillments Detailed *Rep Focus* DND (item_fulfillments_detailed)
+alter table "public"."item_fulfillments_detailed" add column if not exists "line_id" bigint;
+
+-- Wholesale Sales Orders Detailed *Rep Focus* DND (sales_orders_detailed)
+alter table "public"."sales_orders_detailed" drop constraint if exists "sales_orders_detailed_sales_order_internal_id_line_id_key";
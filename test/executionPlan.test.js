@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildStages, findCycle } = require('../src/executionPlan');
+
+test('buildStages puts each mapping after its dependencies', () => {
+  const mappings = [
+    { table: 'invoice_lines', dependsOn: ['invoices', 'items'] },
+    { table: 'invoices', dependsOn: ['customers'] },
+    { table: 'customers' },
+    { table: 'items' }
+  ];
+  assert.deepEqual(buildStages(mappings), [['customers', 'items'], ['invoices'], ['invoice_lines']]);
+});
+
+test('buildStages ignores dependencies on tables that are not synced', () => {
+  assert.deepEqual(buildStages([{ table: 'invoices', dependsOn: ['customers'] }]), [['invoices']]);
+});
+
+test('findCycle returns the tables of a cycle', () => {
+  const mappings = [
+    { table: 'a', dependsOn: ['b'] },
+    { table: 'b', dependsOn: ['c'] },
+    { table: 'c', dependsOn: ['a'] }
+  ];
+  assert.deepEqual(findCycle(mappings), ['a', 'b', 'c', 'a']);
+  assert.deepEqual(findCycle([{ table: 'a', dependsOn: ['a'] }]), ['a', 'a']);
+});
+
+test('findCycle returns null without a cycle', () => {
+  const mappings = [
+    { table: 'a', dependsOn: ['b', 'c'] },
+    { table: 'b', dependsOn: ['c'] },
+    { table: 'c', dependsOn: ['missing'] }
+  ];
+  assert.equal(findCycle(mappings), null);
+});
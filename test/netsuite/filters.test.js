@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSearchFilters, isValidDateWindow, resolveDateWindow } = require('../../src/netsuite/filters');
+
+const now = new Date('2025-03-31T12:00:00Z');
+
+test('resolveDateWindow ends the range today', () => {
+  assert.deepEqual(resolveDateWindow('Last 90 days', now), { fromDate: '2024-12-31', toDate: '2025-03-31' });
+  assert.deepEqual(resolveDateWindow('last 2 weeks', now), { fromDate: '2025-03-17', toDate: '2025-03-31' });
+  assert.deepEqual(resolveDateWindow('Last 1 year', now), { fromDate: '2024-03-31', toDate: '2025-03-31' });
+});
+
+test('resolveDateWindow uses UTC months', () => {
+  assert.deepEqual(resolveDateWindow('Last 6 months', new Date('2025-08-15T23:30:00Z')), {
+    fromDate: '2025-02-15',
+    toDate: '2025-08-15'
+  });
+});
+
+test('resolveDateWindow has no range for All-Time or no window', () => {
+  assert.equal(resolveDateWindow('All-Time', now), null);
+  assert.equal(resolveDateWindow(' all-time ', now), null);
+  assert.equal(resolveDateWindow(undefined, now), null);
+});
+
+test('resolveDateWindow rejects other windows', () => {
+  assert.throws(() => resolveDateWindow('This quarter', now), /^Error: Unsupported dateWindow: This quarter$/);
+  assert.equal(isValidDateWindow('This quarter'), false);
+  assert.equal(isValidDateWindow('Last 3 Months'), true);
+});
+
+test('buildSearchFilters adds the watermark to the date range', () => {
+  assert.deepEqual(buildSearchFilters({ dateWindow: 'Last 1 day' }, '2025-03-30T00:00:00Z', now), {
+    fromDate: '2025-03-30',
+    toDate: '2025-03-31',
+    lastModifiedFrom: '2025-03-30T00:00:00Z'
+  });
+  assert.deepEqual(buildSearchFilters({ dateWindow: 'All-Time' }, null, now), {});
+});
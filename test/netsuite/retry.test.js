@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeBackoffDelay, parseRetryAfter } = require('../../src/netsuite/retry');
+
+test('computeBackoffDelay waits between half and all of the doubled delay', () => {
+  for (let i = 0; i < 50; i++) {
+    const delay = computeBackoffDelay(3, 1000, 60000);
+    assert.ok(delay >= 2000 && delay <= 4000, `${delay}`);
+  }
+});
+
+test('computeBackoffDelay is bounded by the maximum delay', () => {
+  for (let i = 0; i < 50; i++) {
+    const delay = computeBackoffDelay(20, 1000, 30000);
+    assert.ok(delay >= 15000 && delay <= 30000, `${delay}`);
+  }
+});
+
+test('parseRetryAfter reads delta-seconds', () => {
+  assert.equal(parseRetryAfter('5'), 5000);
+  assert.equal(parseRetryAfter(2), 2000);
+  assert.equal(parseRetryAfter('-3'), 0);
+});
+
+test('parseRetryAfter reads an HTTP date', () => {
+  const now = Date.parse('Wed, 21 Oct 2025 07:28:00 GMT');
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2025 07:28:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2025 07:27:00 GMT', now), 0);
+});
+
+test('parseRetryAfter ignores absent or invalid headers', () => {
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter(''), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
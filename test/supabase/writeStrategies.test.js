@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWriter } = require('../../src/supabase/writeStrategies');
+
+/**
+ * Builds a stand-in for SupabaseClient that records the staging calls
+ * @returns {Object} The client, with the calls in `calls`
+ */
+function createStagingClient() {
+  const calls = [];
+  return {
+    calls,
+    async prepareStagingTable(table) {
+      calls.push('prepare');
+      return `${table}_staging`;
+    },
+    async insert(table, records) {
+      calls.push(`insert ${table}`);
+      return { success: true, recordsProcessed: records.length, recordsAffected: records.length, recordsUncounted: 0, rejected: [] };
+    },
+    async swapStagingTable(table, staged) {
+      calls.push(`swap ${staged}`);
+      return { deleted: 5, inserted: staged };
+    },
+    async dropStagingTable(table) {
+      calls.push('drop');
+    }
+  };
+}
+
+const mapping = { table: 'items', method: 'swap' };
+
+/**
+ * Loads two rows through a swap writer and finishes it
+ * @param {Object} fetch - The description of the fetch, from SyncManager.describeFetch
+ * @param {Object} [filters] - The RESTlet filters of the run
+ * @returns {Promise<{calls: Array<string>, stats: Object}>} The staging calls and the writer stats
+ */
+async function runSwap(fetch, filters = {}) {
+  const client = createStagingClient();
+  const writer = createWriter(client, mapping, 'id', { filters }, {});
+  await writer.begin();
+  await writer.write([{ id: 1 }, { id: 2 }]);
+  const stats = await writer.finish(fetch);
+  return { calls: client.calls, stats };
+}
+
+test('swap replaces the live table after a complete fetch', async () => {
+  const { calls, stats } = await runSwap({ complete: true, reason: null });
+  assert.deepEqual(calls, ['prepare', 'insert items_staging', 'swap 2']);
+  assert.equal(stats.recordsInserted, 2);
+  assert.equal(stats.recordsDeleted, 5);
+});
+
+test('swap keeps the live table after a partial fetch', async () => {
+  const { calls, stats } = await runSwap({ complete: false, reason: '1 of 2 pages were fetched' });
+  assert.deepEqual(calls, ['prepare', 'insert items_staging', 'drop']);
+  assert.equal(stats.recordsDeleted, 0);
+});
+
+test('swap keeps the live table when the fetch is not described', async () => {
+  const { calls } = await runSwap(undefined);
+  assert.deepEqual(calls.slice(-1), ['drop']);
+});
+
+test('swap keeps the live table after a date-limited fetch', async () => {
+  const { calls } = await runSwap({ complete: true, reason: null }, { lastModifiedFrom: '2025-01-01T00:00:00Z' });
+  assert.deepEqual(calls.slice(-1), ['drop']);
+});
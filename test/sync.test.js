@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The config module requires these on load; nothing here reaches NetSuite or Supabase
+Object.assign(process.env, {
+  NS_ACCOUNT_ID: '123',
+  NS_CONSUMER_KEY: 'ck',
+  NS_CONSUMER_SECRET: 'cs',
+  NS_TOKEN_ID: 'ti',
+  NS_TOKEN_SECRET: 'ts',
+  NS_SCRIPT_ID: '1',
+  NS_DEPLOY_ID: '1',
+  SUPABASE_URL: 'https://example.supabase.co',
+  SUPABASE_SERVICE_KEY: 'key'
+});
+
+const syncManager = require('../src/sync');
+
+test('describeFetch is complete when every page was read and built', () => {
+  assert.deepEqual(syncManager.describeFetch(3, 3, 0), { complete: true, reason: null });
+});
+
+test('describeFetch is partial when nothing was fetched', () => {
+  assert.deepEqual(syncManager.describeFetch(null, 0, 0), { complete: false, reason: 'no pages were fetched' });
+});
+
+test('describeFetch is partial when pages are missing', () => {
+  assert.deepEqual(syncManager.describeFetch(5, 3, 0), { complete: false, reason: '3 of 5 pages were fetched' });
+});
+
+test('describeFetch is partial after a resumed run', () => {
+  assert.deepEqual(syncManager.describeFetch(5, 5, 0, 2), { complete: false, reason: 'the run resumed after page 2' });
+});
+
+test('describeFetch is partial when records were skipped', () => {
+  assert.deepEqual(syncManager.describeFetch(2, 2, 4), {
+    complete: false,
+    reason: '4 records were skipped for missing required columns or keys'
+  });
+});
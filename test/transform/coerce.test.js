@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  coerce,
+  coerceBoolean,
+  coerceDate,
+  coerceDatetime,
+  coerceInteger,
+  coerceNumber,
+  coercePercent,
+  isEmptyValue
+} = require('../../src/transform/coerce');
+
+test('isEmptyValue treats blanks and "- None -" as empty', () => {
+  assert.equal(isEmptyValue(null), true);
+  assert.equal(isEmptyValue(undefined), true);
+  assert.equal(isEmptyValue('  '), true);
+  assert.equal(isEmptyValue('- None -'), true);
+  assert.equal(isEmptyValue(0), false);
+  assert.equal(isEmptyValue('0'), false);
+});
+
+test('coerceNumber reads display amounts', () => {
+  assert.deepEqual(coerceNumber('$1,234.56'), { value: 1234.56, error: null });
+  assert.equal(coerceNumber('(123.45)').value, -123.45);
+  assert.equal(coerceNumber('-$12').value, -12);
+  assert.equal(coerceNumber('$-12').value, -12);
+  assert.equal(coerceNumber('USD 10').value, 10);
+  assert.equal(coerceNumber('10 EUR').value, 10);
+  assert.equal(coerceNumber('.5').value, 0.5);
+  assert.equal(coerceNumber(42).value, 42);
+  assert.deepEqual(coerceNumber('- None -'), { value: null, error: null });
+});
+
+test('coerceNumber reads comma decimals', () => {
+  const options = { decimalSeparator: ',' };
+  assert.equal(coerceNumber('1.234,56', options).value, 1234.56);
+  assert.equal(coerceNumber('5,00', options).value, 5);
+});
+
+test('coerceNumber rejects text that is not an amount', () => {
+  for (const value of ['INV-12', '12-', '1,2,3', '5,00', 'abc', '$', '1.2.3']) {
+    const result = coerceNumber(value);
+    assert.equal(result.value, null, value);
+    assert.equal(result.error, `${JSON.stringify(value)} is not a number`);
+  }
+  assert.equal(coerceNumber(Infinity).value, null);
+  assert.match(coerceNumber(Infinity).error, /is not a finite number$/);
+});
+
+test('coerceInteger rejects fractions', () => {
+  assert.equal(coerceInteger('1,234').value, 1234);
+  assert.equal(coerceInteger('1.5').error, '"1.5" is not an integer');
+  assert.equal(coerceInteger('INV-12').error, '"INV-12" is not an integer');
+});
+
+test('coercePercent keeps the number shown', () => {
+  assert.equal(coercePercent('12.5%').value, 12.5);
+  assert.equal(coercePercent('abc%').error, '"abc%" is not a percentage');
+});
+
+test('coerceBoolean reads NetSuite flags', () => {
+  assert.equal(coerceBoolean('T').value, true);
+  assert.equal(coerceBoolean('No').value, false);
+  assert.equal(coerceBoolean(true).value, true);
+  assert.equal(coerceBoolean('maybe').error, '"maybe" is not a boolean');
+});
+
+test('coerceDate follows the account date format', () => {
+  assert.equal(coerceDate('4/17/2025').value, '2025-04-17');
+  assert.equal(coerceDate('4/17/25 3:45 pm').value, '2025-04-17');
+  assert.equal(coerceDate('17/4/2025', { dateFormat: 'D/M/YYYY' }).value, '2025-04-17');
+  assert.equal(coerceDate('17.4.2025', { dateFormat: 'D.M.YYYY' }).value, '2025-04-17');
+  assert.equal(coerceDate('17-Apr-2025', { dateFormat: 'D-Mon-YYYY' }).value, '2025-04-17');
+  assert.equal(coerceDate('2025-04-17', { dateFormat: 'D/M/YYYY' }).value, '2025-04-17');
+  assert.equal(coerceDate('1/1/69').value, '2069-01-01');
+  assert.equal(coerceDate('1/1/70').value, '1970-01-01');
+  assert.equal(coerceDate('2/30/2025').error, '"2/30/2025" is not a date (M/D/YYYY)');
+});
+
+test('coerceDatetime reads 12 and 24 hour times', () => {
+  assert.equal(coerceDatetime('4/17/2025 3:45 pm').value, '2025-04-17T15:45:00');
+  assert.equal(coerceDatetime('4/17/2025 12:05 am').value, '2025-04-17T00:05:00');
+  assert.equal(coerceDatetime('4/17/2025 15:45:10').value, '2025-04-17T15:45:10');
+  assert.equal(coerceDatetime('2025-04-17T15:45:10Z').value, '2025-04-17T15:45:10Z');
+  assert.equal(coerceDatetime('4/17/2025 13:00 pm').error, '"4/17/2025 13:00 pm" is not a datetime');
+});
+
+test('coerce reads unknown types as text', () => {
+  assert.equal(coerce('INV-12', 'text').value, 'INV-12');
+  assert.equal(coerce('INV-12', 'unknown').value, 'INV-12');
+  assert.equal(coerce('7', 'id').value, 7);
+});
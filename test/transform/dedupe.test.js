@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DuplicateKeyFilter } = require('../../src/transform/dedupe');
+
+const rows = [
+  { id: 1, name: 'a' },
+  { id: 2, name: 'b' },
+  { id: 1, name: 'c' }
+];
+const sources = ['raw a', 'raw b', 'raw c'];
+
+test('lastWins keeps the last row with a key', () => {
+  const filter = new DuplicateKeyFilter('t', ['id']);
+  const result = filter.filter(rows, sources);
+  assert.deepEqual(result.rows.map(row => row.name), ['b', 'c']);
+  assert.deepEqual(result.sourceRecords, ['raw b', 'raw c']);
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(filter.sampleKeys, ['1']);
+});
+
+test('firstWins keeps the first row with a key, across pages too', () => {
+  const filter = new DuplicateKeyFilter('t', ['id'], 'firstWins');
+  assert.deepEqual(filter.filter(rows).rows.map(row => row.name), ['a', 'b']);
+
+  const nextPage = filter.filter([{ id: 2, name: 'd' }, { id: 3, name: 'e' }]);
+  assert.deepEqual(nextPage.rows.map(row => row.name), ['e']);
+  assert.equal(nextPage.duplicates, 1);
+  assert.equal(filter.duplicates, 2);
+});
+
+test('lastWins counts a key repeated on a later page but keeps the row', () => {
+  const filter = new DuplicateKeyFilter('t', ['id']);
+  filter.filter([{ id: 1 }]);
+  const nextPage = filter.filter([{ id: 1 }]);
+  assert.equal(nextPage.rows.length, 1);
+  assert.equal(nextPage.duplicates, 1);
+});
+
+test('error fails on the first duplicate', () => {
+  const filter = new DuplicateKeyFilter('t', ['id', 'line'], 'error');
+  assert.throws(
+    () => filter.filter([{ id: 1, line: 1 }, { id: 1, line: 1 }]),
+    /^Error: Duplicate conflict key \["1","1"\] \(id, line\) in the rows for t$/
+  );
+});
+
+test('rows without a complete key are left alone', () => {
+  const filter = new DuplicateKeyFilter('t', ['id']);
+  const result = filter.filter([{ id: null }, { id: null }]);
+  assert.equal(result.rows.length, 2);
+  assert.equal(result.duplicates, 0);
+});
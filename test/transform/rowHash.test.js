@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRowHash } = require('../../src/transform/rowHash');
+
+test('computeRowHash does not depend on column order', () => {
+  assert.equal(computeRowHash({ a: 1, b: 'x' }), computeRowHash({ b: 'x', a: 1 }));
+  assert.match(computeRowHash({ a: 1 }), /^[0-9a-f]{64}$/);
+});
+
+test('computeRowHash changes with any mapped value', () => {
+  assert.notEqual(computeRowHash({ a: 1, b: 'x' }), computeRowHash({ a: 1, b: 'y' }));
+  assert.notEqual(computeRowHash({ a: 1 }), computeRowHash({ a: '1' }));
+});
+
+test('computeRowHash leaves out the excluded columns', () => {
+  const excluded = ['synced_at', 'row_hash'];
+  assert.equal(
+    computeRowHash({ a: 1, synced_at: '2025-01-01', row_hash: 'x' }, excluded),
+    computeRowHash({ a: 1, synced_at: '2025-02-01' }, excluded)
+  );
+});
+
+test('computeRowHash treats undefined as null', () => {
+  assert.equal(computeRowHash({ a: undefined }), computeRowHash({ a: null }));
+});
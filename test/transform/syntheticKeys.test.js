@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildSyntheticKey,
+  fillKeyTemplate,
+  getKeyFields,
+  normalizeKeyPart
+} = require('../../src/transform/syntheticKeys');
+
+test('normalizeKeyPart writes numeric IDs without separators or padding', () => {
+  assert.equal(normalizeKeyPart('1,234'), '1234');
+  assert.equal(normalizeKeyPart('007'), '7');
+  assert.equal(normalizeKeyPart('0'), '0');
+  assert.equal(normalizeKeyPart(42), '42');
+  assert.equal(normalizeKeyPart(' 12 '), '12');
+});
+
+test('normalizeKeyPart keeps other values apart', () => {
+  assert.notEqual(normalizeKeyPart('INV-5'), normalizeKeyPart('SOL-5'));
+  assert.notEqual(normalizeKeyPart('$5'), normalizeKeyPart('5'));
+  assert.notEqual(normalizeKeyPart('1,2'), normalizeKeyPart('12'));
+  assert.equal(normalizeKeyPart(' INV-5 '), 'INV-5');
+});
+
+test('normalizeKeyPart treats empty values as missing', () => {
+  assert.equal(normalizeKeyPart(''), null);
+  assert.equal(normalizeKeyPart('- None -'), null);
+  assert.equal(normalizeKeyPart(undefined), null);
+});
+
+test('buildSyntheticKey joins the normalized fields', () => {
+  const record = { invoice: '1,234', line: '002' };
+  assert.deepEqual(buildSyntheticKey(record, ['invoice', 'line']), { value: '1234_2', emptyFields: [] });
+});
+
+test('buildSyntheticKey hashes the fields in order', () => {
+  const first = buildSyntheticKey({ a: 'x_y', b: 'z' }, ['a', 'b'], 'hash');
+  const second = buildSyntheticKey({ a: 'x', b: 'y_z' }, ['a', 'b'], 'hash');
+  assert.match(first.value, /^[0-9a-f]{64}$/);
+  assert.notEqual(first.value, second.value);
+  assert.equal(buildSyntheticKey({ a: 'x_y', b: 'z' }, ['a', 'b'], 'hash').value, first.value);
+});
+
+test('buildSyntheticKey gives no key when a field is empty', () => {
+  assert.deepEqual(buildSyntheticKey({ invoice: '12', line: '' }, ['invoice', 'line']), {
+    value: null,
+    emptyFields: ['line']
+  });
+});
+
+test('fillKeyTemplate fills the fields of the template', () => {
+  assert.deepEqual(fillKeyTemplate('{so}_{line}', { so: '0012', line: '3' }), { value: '12_3', emptyFields: [] });
+  assert.deepEqual(fillKeyTemplate('{so}_{line}', { so: '12' }), { value: null, emptyFields: ['line'] });
+});
+
+test('getKeyFields lists key and template fields', () => {
+  assert.deepEqual(getKeyFields({ key: ['a', 'b'] }), ['a', 'b']);
+  assert.deepEqual(getKeyFields({ template: '{so}_{line}' }), ['so', 'line']);
+  assert.deepEqual(getKeyFields({ source: 'id' }), []);
+});
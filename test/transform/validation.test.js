@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RowValidator } = require('../../src/transform/validation');
+
+const check = (rule, row) => new RowValidator([rule]).check(row);
+
+test('required fails on empty values only', () => {
+  const rule = { column: 'date', rule: 'required' };
+  assert.deepEqual(check(rule, { date: '- None -' }), [
+    { rule: 'required', column: 'date', value: '- None -', message: 'date is required' }
+  ]);
+  assert.deepEqual(check(rule, {})[0].value, null);
+  assert.deepEqual(check(rule, { date: '2025-04-17' }), []);
+});
+
+test('pattern matches the value as text', () => {
+  const rule = { column: 'document_number', rule: 'pattern', pattern: '^INV\\d+$' };
+  assert.deepEqual(check(rule, { document_number: 'INV12' }), []);
+  assert.equal(check(rule, { document_number: 'SO12' })[0].message, 'document_number matches /^INV\\d+$/');
+});
+
+test('range checks numbers against either bound', () => {
+  const rule = { column: 'quantity', rule: 'range', min: 0, max: 10 };
+  assert.deepEqual(check(rule, { quantity: 10 }), []);
+  assert.equal(check(rule, { quantity: -1 })[0].message, 'quantity >= 0 and quantity <= 10');
+  assert.equal(check(rule, { quantity: '5' }).length, 1);
+  assert.equal(check({ column: 'quantity', rule: 'range', min: 0 }, { quantity: -1 })[0].message, 'quantity >= 0');
+});
+
+test('oneOf lists the allowed values', () => {
+  const rule = { column: 'status', rule: 'oneOf', values: ['Open', 'Paid In Full'] };
+  assert.deepEqual(check(rule, { status: 'Open' }), []);
+  assert.equal(check(rule, { status: 'Closed' })[0].message, 'status is one of Open, Paid In Full');
+});
+
+test('compare checks against another column, skipping it when empty', () => {
+  const rule = { column: 'ship_date_end', rule: 'compare', operator: '>=', otherColumn: 'ship_date' };
+  assert.deepEqual(check(rule, { ship_date_end: '2025-04-18', ship_date: '2025-04-17' }), []);
+  assert.deepEqual(check(rule, { ship_date_end: '2025-04-18', ship_date: null }), []);
+  assert.equal(
+    check(rule, { ship_date_end: '2025-04-16', ship_date: '2025-04-17' })[0].message,
+    'ship_date_end >= ship_date'
+  );
+});
+
+test('rules other than required skip empty values', () => {
+  assert.deepEqual(check({ column: 'status', rule: 'oneOf', values: ['Open'] }, { status: null }), []);
+});
+
+test('filter quarantines failing rows with their raw records', () => {
+  const validator = new RowValidator([{ column: 'id', rule: 'required' }, { column: 'id', rule: 'range', min: 1 }]);
+  const result = validator.filter([{ id: 1 }, { id: 0 }, { id: null }], ['r1', 'r0', 'rnull']);
+  assert.deepEqual(result.rows, [{ id: 1 }]);
+  assert.deepEqual(result.sourceRecords, ['r1']);
+  assert.deepEqual(result.quarantined.map(entry => [entry.record, entry.failures.map(failure => failure.rule)]), [
+    ['r0', ['range']],
+    ['rnull', ['required']]
+  ]);
+});
+
+test('filter passes every row through without rules', () => {
+  const rows = [{ id: null }];
+  assert.deepEqual(new RowValidator().filter(rows), { rows, sourceRecords: [], quarantined: [] });
+});